@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// Reference sync server for Lvl Up. Stores one JSON document per sync space
+// and rejects pushes based on a stale revision; merging happens on the devices.
+//
+//   PORT=8787 SYNC_DATA_DIR=./sync-data SYNC_TOKEN=secret npm run sync-server
+import { createServer } from "node:http";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = resolve(process.env.SYNC_DATA_DIR || "sync-data");
+const TOKEN = process.env.SYNC_TOKEN || "";
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const ROUTE_RE = /^\/v1\/spaces\/([A-Za-z0-9_-]{1,64})$/;
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type",
+  "Access-Control-Max-Age": "86400",
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function spaceFile(space) {
+  return join(DATA_DIR, `${space}.json`);
+}
+
+async function readSpace(space) {
+  try {
+    return JSON.parse(await readFile(spaceFile(space), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function writeSpace(space, record) {
+  await mkdir(DATA_DIR, { recursive: true });
+  const tmp = `${spaceFile(space)}.tmp`;
+  await writeFile(tmp, JSON.stringify(record));
+  await rename(tmp, spaceFile(space));
+}
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Body too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolveBody(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Requests for one space are handled one at a time so the revision check and
+// the write can't interleave.
+const queues = new Map();
+function serialized(space, task) {
+  const run = (queues.get(space) || Promise.resolve()).then(task, task);
+  queues.set(space, run.catch(() => {}));
+  return run;
+}
+
+async function handle(req, res) {
+  if (req.method === "OPTIONS") return send(res, 204);
+  const match = ROUTE_RE.exec(new URL(req.url, "http://localhost").pathname);
+  if (!match) return send(res, 404, { error: "Not found" });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "Unauthorized" });
+  const space = match[1];
+
+  if (req.method === "GET") {
+    const record = await serialized(space, () => readSpace(space));
+    return record ? send(res, 200, record) : send(res, 404, { error: "Empty space" });
+  }
+
+  if (req.method === "PUT") {
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (error) {
+      return send(res, error.status || 400, { error: error.status ? error.message : "Invalid JSON" });
+    }
+    if (!body?.payload?.game || !Array.isArray(body.payload.game.quests)) {
+      return send(res, 400, { error: "Payload must contain a game with quests" });
+    }
+    return serialized(space, async () => {
+      const current = await readSpace(space);
+      const revision = current?.revision || 0;
+      if (Number(body.baseRevision) !== revision) return send(res, 409, { error: "Stale revision", revision });
+      const record = { revision: revision + 1, updatedAt: new Date().toISOString(), payload: body.payload };
+      await writeSpace(space, record);
+      return send(res, 200, { revision: record.revision, updatedAt: record.updatedAt });
+    });
+  }
+
+  return send(res, 405, { error: "Method not allowed" });
+}
+
+createServer((req, res) => {
+  handle(req, res).catch((error) => {
+    console.error(error);
+    if (!res.headersSent) send(res, 500, { error: "Internal error" });
+  });
+}).listen(PORT, () => {
+  console.log(`Lvl Up sync server listening on http://localhost:${PORT} (data: ${DATA_DIR})`);
+});
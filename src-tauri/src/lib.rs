@@ -1,6 +1,40 @@
+use std::fs;
+use std::path::PathBuf;
+
+use tauri::Manager;
+
+const DOCUMENT_FILE: &str = "lvlup-document.json";
+
+fn document_path(app: &tauri::AppHandle) -> Result<PathBuf, String> {
+  let dir = app.path().app_data_dir().map_err(|e| e.to_string())?;
+  fs::create_dir_all(&dir).map_err(|e| e.to_string())?;
+  Ok(dir.join(DOCUMENT_FILE))
+}
+
+#[tauri::command]
+fn load_document(app: tauri::AppHandle) -> Result<Option<String>, String> {
+  let path = document_path(&app)?;
+  if !path.exists() {
+    return Ok(None);
+  }
+  let contents = fs::read_to_string(&path).map_err(|e| e.to_string())?;
+  Ok(if contents.is_empty() { None } else { Some(contents) })
+}
+
+// Writes to a temp file first so a crash mid-write never leaves a truncated document.
+#[tauri::command]
+fn save_document(app: tauri::AppHandle, contents: String) -> Result<(), String> {
+  let path = document_path(&app)?;
+  let tmp = path.with_extension("json.tmp");
+  fs::write(&tmp, contents).map_err(|e| e.to_string())?;
+  fs::rename(&tmp, &path).map_err(|e| e.to_string())
+}
+
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
   tauri::Builder::default()
+    .plugin(tauri_plugin_notification::init())
+    .invoke_handler(tauri::generate_handler![load_document, save_document])
     .setup(|app| {
       if cfg!(debug_assertions) {
         app.handle().plugin(
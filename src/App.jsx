@@ -1,6 +1,7 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { Brain, ChevronDown, ChevronUp, Eye, ChevronLeft, ChevronRight, Sparkles, Flame, Lock, Medal, ShieldAlert, Trophy } from "lucide-react";
+import { Brain, ChevronDown, ChevronUp, Clock, Eye, ChevronLeft, ChevronRight, Moon, Sparkles, Flame, Lock, Medal, ShieldAlert, Sun, Sunrise, Trophy } from "lucide-react";
 import { DayTimerClock } from "./components/DayTimerClock";
+import { useUndoHistory, useUndoShortcuts } from "./hooks/useUndoHistory.js";
 import QuoteOfTheDay from "./components/QuoteOfTheDay";
 import DoDifferent from "./DoDifferent";
 import {
@@ -17,7 +18,121 @@ import {
   normalizeMeasurementType,
   unitTypeForMeasurement,
 } from "./taxonomy";
-import { buildQuestProgression } from "./utils/questProgression.js";
+import {
+  buildQuestProgression,
+  recordSessionSuccess,
+  restoreProgression,
+  reverseSessionSuccess,
+  snapshotProgression,
+} from "./utils/questProgression.js";
+import { flushStorage, getDocument, readStorage, storageStatus, transaction, writeStorage } from "./storage/index.js";
+import {
+  deliverReminders,
+  normalizeNotificationConfig,
+  notificationPermission,
+  requestNotificationPermission,
+  showNotification,
+} from "./notifications/index.js";
+import { dueReminders } from "./utils/reminders.js";
+import {
+  bossRaidHistory,
+  bossRaidProgress,
+  bossScoreboard,
+  buildBossRaid,
+  extractBossRaids,
+  normalizeBossRaids,
+  openBossRaid,
+  raidForEntry,
+} from "./utils/bossRaid.js";
+import { normalizeChallengeArchive } from "./utils/challengeArchive.js";
+import {
+  SYNC_INTERVAL_MS,
+  canSync,
+  mergeSyncedGames,
+  normalizeSyncConfig,
+  syncOnce,
+  validateSyncConfig,
+  withSyncedGame,
+} from "./sync/index.js";
+import { COMPLETION_COLUMNS, XP_BY_DAY_COLUMNS, completionRows, toCsv, xpByDayRows } from "./utils/csvExport.js";
+import { downloadTextFile } from "./utils/download.js";
+import { checkIntegrity, rebuildDerivedTotals } from "./utils/integrity.js";
+import {
+  MAX_INTERVAL_DAYS,
+  SCHEDULE_KINDS,
+  describeSchedule,
+  isDueOn,
+  isOnSchedule,
+  isScheduledInRange,
+  normalizeDaysOfWeek,
+  normalizeSchedule,
+  sessionsPerWeekForSchedule,
+  validateSchedule,
+} from "./utils/schedule.js";
+import {
+  EXACT_SLOT_GRACE_MINUTES,
+  TIME_SLOTS,
+  compareBySlot,
+  formatQuestSlot,
+  formatSlotClock,
+  isSlotOverdue,
+  namedSlotWindow,
+  normalizeTimeSlot,
+  questSlotGroup,
+  slotMarkers,
+} from "./utils/timeSlots.js";
+import { TIME_OFF_KINDS, addTimeOff, formatTimeOffRange, isTimeOffDay, normalizeTimeOff, removeTimeOff, timeOffForDay, validateTimeOff } from "./utils/timeOff.js";
+import { QUEST_LIFECYCLES, isQuestActive, isQuestArchived, isQuestDeleted, isQuestListed, normalizeLifecycle, questLifecycle, setQuestLifecycle } from "./utils/questLifecycle.js";
+import { DEBT_REASONS, activityEvent, deriveXpTotals, formatActivityEvent, recordActivity, rewardEvents } from "./utils/activityLog.js";
+import {
+  buildSaveFile,
+  describeImport,
+  earliestDateKey,
+  mergeGames,
+  parseSaveFile,
+  saveFileName,
+} from "./utils/saveFile.js";
+import {
+  BOSS_RECOVERY_HOURS,
+  INTENSITY_RECOVERY_HOURS,
+  activeCooldown,
+  cooldownHoursFrom,
+  cooldownXpMult,
+  formatCooldownRemaining,
+  isBodyLocked,
+  isBodyQuest,
+  restTokenAvailable,
+  shouldForceIntensityCooldown,
+  startCooldown,
+} from "./utils/cooldown.js";
+import { HARDCORE_RULES, isHardcore, recordQuestMiss } from "./utils/hardcore.js";
+import {
+  DEBT_MODES,
+  DEFAULT_DEBT_POLICY,
+  computeDayDebt,
+  consecutiveDebtDays,
+  debtPolicyFromSettings,
+  formatDebtBreakdown,
+  policyDebtCharged,
+} from "./utils/debtPolicy.js";
+import {
+  buildNoPhonePenalty,
+  finishPenalty,
+  pausePenalty,
+  penaltyElapsedMs,
+  rewardsBlockedByPenalty,
+  schedulePenalty,
+  shouldSchedulePenalty,
+  startPenalty,
+} from "./utils/noPhonePenalty.js";
+import {
+  applyStreakBonus,
+  formatPerformanceModifier,
+  formatStreakModifier,
+  metTarget,
+  performanceMultiplier,
+  streakBonusPct,
+} from "./utils/xpModifiers.js";
 
 /**
  * Level Up: Quest Board — Solo Leveling–inspired MVP (single-file)
@@ -39,14 +154,6 @@ function cx(...parts) {
   return parts.filter(Boolean).join(" ");
 }
 
-function safeJsonParse(str, fallback) {
-  try {
-    return JSON.parse(str);
-  } catch {
-    return fallback;
-  }
-}
-
 function fmtDateKey(d = new Date()) {
   const yyyy = d.getFullYear();
   const mm = String(d.getMonth() + 1).padStart(2, "0");
@@ -173,20 +280,6 @@ function getWeekDays(weekStart) {
 const WEEKDAY_LABELS = ["M", "T", "W", "T", "F", "S", "S"];
 const DEFAULT_GRACE_MINUTES = 5;
 
-function dayIndexMonday(date) {
-  const day = date.getDay(); // 0 Sun
-  return (day + 6) % 7; // Mon=0
-}
-
-function normalizeFrequency(value) {
-  return value === "weekly" ? "weekly" : "daily";
-}
-
-function normalizeDaysOfWeek(days) {
-  if (!Array.isArray(days)) return [];
-  return days.filter((d) => Number.isInteger(d) && d >= 0 && d <= 6);
-}
-
 function createdAtToMs(value) {
   if (typeof value === "number" && Number.isFinite(value)) return value;
   if (typeof value === "string") {
@@ -205,22 +298,14 @@ function createdAtToISO(value) {
   return new Date(ms || 0).toISOString();
 }
 
-function defaultWeeklyDays() {
-  return [0, 1, 2, 3, 4, 5, 6];
+// Pass `days` so "X per week" quests drop off once the week's sessions are done.
+function isQuestScheduledForDate(q, date, days = null) {
+  return isQuestActive(q) && isOnSchedule(q, date, days);
 }
 
-function sessionsPerWeekFromConsistency(frequency, daysOfWeek) {
-  if (frequency !== "weekly") return 7;
-  const count = normalizeDaysOfWeek(daysOfWeek).length;
-  return Math.max(1, count);
-}
-
-function isQuestScheduledForDate(q, date) {
-  const frequency = normalizeFrequency(q?.frequency);
-  if (frequency !== "weekly") return true;
-  const days = normalizeDaysOfWeek(q?.daysOfWeek);
-  if (!days.length) return false;
-  return days.includes(dayIndexMonday(date));
+// Scheduled and not skippable: leaving it undone that day is a miss.
+function isQuestDueForDate(q, date, days = null) {
+  return isQuestActive(q) && isDueOn(q, date, days);
 }
 
 function buildWeeklyChartData(xpByDay, weekStart) {
@@ -234,18 +319,147 @@ function buildWeeklyChartData(xpByDay, weekStart) {
   });
 }
 
-function incrementXpByDay(map, key, delta) {
-  const next = { ...(map || {}) };
-  const prevVal = Number(next[key] || 0);
-  const updated = prevVal + delta;
-  next[key] = Math.max(0, updated);
-  return next;
+function addPenaltyToDay(state, key, penalty) {
+  const day = state.days[key] || { completed: {}, earnedXP: 0, xpDebt: 0, note: "", debtApplied: false };
+  const scheduled = schedulePenalty(day, penalty, state.settings);
+  if (scheduled === day) return state;
+  const next = { ...state, days: { ...state.days, [key]: scheduled } };
+  const debt = scheduled.penalties.find((p) => p.id === penalty.id)?.debt || 0;
+  if (!debt) return next;
+  return recordActivity(next, key, [activityEvent("debt_applied", { amount: debt, reason: "penalty", ref: penalty.id })]);
+}
+
+function appendDayEvents(day, events) {
+  const list = events.filter(Boolean);
+  if (!list.length) return day;
+  return { ...day, events: [...(day.events || []), ...list] };
+}
+
+function isSameDayEvent(a, b) {
+  return !!a && !!b && a.type === b.type && a.questId === b.questId && a.at === b.at;
+}
+
+const PROGRESSION_EVENT_LABELS = {
+  target_raised: "Target raised",
+  target_lowered: "Target lowered",
+  rank_demoted: "Rank demoted",
+  rank_promoted: "Rank-up trial passed",
+};
+
+function isProgressionEvent(event) {
+  return !!PROGRESSION_EVENT_LABELS[event?.type];
+}
+
+function formatProgressionEvent(event, quest) {
+  const unit = quest ? questUnitLabel(quest) : "";
+  const ranks = event.fromRank && event.fromRank !== event.toRank ? ` (${event.fromRank} → ${event.toRank})` : "";
+  return `${PROGRESSION_EVENT_LABELS[event.type]}${ranks}: ${event.from} → ${event.to}${unit ? ` ${unit}` : ""}`;
+}
+
+// A completion's snapshot can only be restored while nothing has moved the
+// quest's progression since; otherwise later sessions would be wiped out.
+function isLatestProgressionChange(state, quest, dayKey, entry) {
+  const leftAt = entry.progressEvent ? entry.progressEvent.to : entry.progressBefore.currentTargetValue;
+  if (Number(quest.currentTargetValue) !== Number(leftAt)) return false;
+  return !Object.entries(state.days).some(
+    ([key, day]) =>
+      key > dayKey &&
+      (!!day?.completed?.[quest.id]?.progressBefore || (day?.events || []).some((e) => e.questId === quest.id && isProgressionEvent(e)))
+  );
+}
+
+function undoCompletionProgression(state, quest, dayKey, entry) {
+  if (!entry?.progressBefore) return quest;
+  return isLatestProgressionChange(state, quest, dayKey, entry)
+    ? restoreProgression(quest, entry.progressBefore)
+    : reverseSessionSuccess(quest, entry.progressEvent);
 }
 
 function questIsTimed(q) {
   return q?.measurementType === "time" && typeof q.targetMinutes === "number" && q.targetMinutes > 0;
 }
 
+function questPerformanceTarget(q) {
+  if (!q || q.measurementType === "habit") return null;
+  return questIsTimed(q) ? q.targetMinutes : q.currentTargetValue;
+}
+
+function questAwardBreakdown(q, { performanceMult = 1, streakPct = 0, cooldownMult = 1 } = {}) {
+  const rank = rankFromProgressPct(progressPct(q.currentTargetValue, q.sTargetValue));
+  const base = baseXPForRank(rank);
+  const improvement = q.currentTargetValue > q.baselineValue ? Math.round(base * IMPROVEMENT_BONUS_MULT) : 0;
+  const priorityMult = priorityMultiplier(q.priority);
+  const raw = applyStreakBonus(Math.round((base + improvement) * priorityMult * performanceMult * cooldownMult), streakPct);
+  const remaining = Math.max(0, xpCapForRank(rank) - (q.xp || 0));
+  const award = Math.max(0, Math.min(raw, remaining));
+  return { base, improvement, priorityMult, performanceMult, streakPct, cooldownMult, award, capped: award < raw };
+}
+
+// What a completion is worth before bonuses; missed-quest debt scales from it.
+function questDebtValue(q) {
+  const rank = rankFromProgressPct(progressPct(q.currentTargetValue, q.sTargetValue));
+  return baseXPForRank(rank) * priorityMultiplier(q.priority);
+}
+
+function dayDebt(state, key) {
+  const date = new Date(`${key}T00:00:00`);
+  const restDay = (state.restDays || []).includes(key);
+  const scheduled = state.quests.filter(
+    (q) =>
+      isQuestDueForDate(q, date, state.days) &&
+      fmtDateKey(new Date(createdAtToMs(q.createdAt))) <= key &&
+      !(restDay && isBodyQuest(q))
+  );
+  return computeDayDebt({
+    scheduled,
+    day: state.days[key],
+    settings: state.settings,
+    streak: consecutiveDebtDays(state.days, key),
+    questValue: questDebtValue,
+  });
+}
+
+function formatAwardBreakdown(breakdown) {
+  if (!breakdown) return "";
+  const parts = [`${breakdown.base} base`];
+  if (breakdown.improvement) parts.push(`+${breakdown.improvement} improvement`);
+  if (breakdown.priorityMult !== 1) parts.push(`×${breakdown.priorityMult} priority`);
+  const perf = formatPerformanceModifier(breakdown.performanceMult);
+  if (perf) parts.push(perf);
+  const streak = formatStreakModifier(breakdown.streakPct);
+  if (streak) parts.push(streak);
+  if (typeof breakdown.cooldownMult === "number" && breakdown.cooldownMult !== 1) {
+    parts.push(`Cooldown −${Math.round((1 - breakdown.cooldownMult) * 100)}%`);
+  }
+  if (breakdown.capped) parts.push("rank cap reached");
+  return parts.join(" · ");
+}
+
+// Time-off days neither count towards nor break a streak.
+function countStreakDays(days, fromDate, timeOff = []) {
+  let count = 0;
+  let d = new Date(fromDate);
+  for (let i = 0; i < 365; i++) {
+    const key = fmtDateKey(d);
+    if (isTimeOffDay(timeOff, key)) {
+      d = addDays(d, -1);
+      continue;
+    }
+    const entry = days[key];
+    const ok = entry && (entry.earnedXP > 0 || Object.values(entry.completed || {}).some((x) => x?.done));
+    if (!ok) break;
+    count += 1;
+    d = addDays(d, -1);
+  }
+  return count;
+}
+
+function formatLoggedValue(entry) {
+  if (!entry || typeof entry.value !== "number") return "";
+  const value = `${entry.value}${entry.unit ? ` ${entry.unit}` : ""}`;
+  return typeof entry.target === "number" ? `${value} / ${entry.target}` : value;
+}
+
 function questTimerLimitMs(q) {
   if (!questIsTimed(q)) return 0;
   const grace = typeof q.graceMinutes === "number" ? q.graceMinutes : 0;
@@ -364,6 +578,7 @@ const DEFAULT_SETTINGS = {
   noPhonePenaltyMinutes: 60,
   streakBonusPctPerDay: 1,
   maxStreakBonusPct: 20,
+  ...DEFAULT_DEBT_POLICY,
   weeklyBossEnabled: true,
   wakeTime: "07:00",
   bedTime: "23:00",
@@ -493,6 +708,10 @@ function xpCapForRank(rank) {
   return XP_CAPS_BY_RANK[rank] || XP_CAPS_BY_RANK.E;
 }
 
+function questXpCap(quest) {
+  return xpCapForRank(rankFromProgressPct(progressPct(quest.currentTargetValue, quest.sTargetValue)));
+}
+
 function baseXPForRank(rank) {
   return BASE_XP_BY_RANK[rank] || BASE_XP_BY_RANK.E;
 }
@@ -562,10 +781,8 @@ function normalizeQuest(q) {
   const cap = xpCapForRank(rank);
   const xp = Number.isFinite(xpRaw) ? Math.min(xpRaw, cap) : 0;
   const safeStatus = status === "active" && !startedAt ? "idle" : status;
-  const frequency = normalizeFrequency(q.frequency || q.cadence);
-  let daysOfWeek = normalizeDaysOfWeek(q.daysOfWeek || q.weekDays);
-  if (frequency === "daily") daysOfWeek = defaultWeeklyDays();
-  const sessionsPerWeek = sessionsPerWeekFromConsistency(frequency, daysOfWeek);
+  const schedule = normalizeSchedule(q);
+  const sessionsPerWeek = sessionsPerWeekForSchedule(schedule);
   const progression = buildQuestProgression({
     sRankTarget: Number(progressionSeed.sRankTarget ?? sTargetValue ?? 1),
     startTarget: Number(progressionSeed.startTarget ?? currentTargetValue ?? 1),
@@ -590,14 +807,16 @@ function normalizeQuest(q) {
     priority,
     xp,
     createdAt,
+    ...normalizeTimeSlot(q),
     status: safeStatus,
     startedAt: safeStatus === "active" ? startedAt : null,
     elapsedMs: safeStatus === "completed" ? elapsedMs : 0,
     targetMinutes,
     graceMinutes,
-    frequency,
-    daysOfWeek,
+    ...schedule,
     progression,
+    lifecycle: normalizeLifecycle(q.lifecycle),
+    lifecycleChangedAt: typeof q.lifecycleChangedAt === "number" ? q.lifecycleChangedAt : null,
   };
 }
 
@@ -635,10 +854,8 @@ function migrateSavedState(saved) {
       : 1;
     const targetMinutes = measurementType === "time" ? Math.max(1, Number(q.targetMinutes ?? currentTargetValue) || 1) : null;
     const graceMinutes = measurementType === "time" ? DEFAULT_GRACE_MINUTES : 0;
-    const frequency = normalizeFrequency(q.frequency || q.cadence);
-    let daysOfWeek = normalizeDaysOfWeek(q.daysOfWeek || q.weekDays);
-    if (frequency === "daily") daysOfWeek = defaultWeeklyDays();
-    const sessionsPerWeek = sessionsPerWeekFromConsistency(frequency, daysOfWeek);
+    const schedule = normalizeSchedule(q);
+    const sessionsPerWeek = sessionsPerWeekForSchedule(schedule);
     const progression = buildQuestProgression({
       sRankTarget: Number(progressionSeed.sRankTarget ?? sTargetValue ?? 1),
       startTarget: Number(progressionSeed.startTarget ?? currentTargetValue ?? 1),
@@ -661,8 +878,8 @@ function migrateSavedState(saved) {
       sTargetValue,
       targetMinutes,
       graceMinutes,
-      frequency,
-      daysOfWeek,
+      ...schedule,
+      ...normalizeTimeSlot(q),
       progression,
     };
   });
@@ -687,8 +904,14 @@ function buildDefaultState({ settings = DEFAULT_SETTINGS, quests = DEFAULT_QUEST
     totalXP,
     lastActiveDate: key,
     cooldownUntil: null,
+    cooldownReason: null,
+    restTokenWeek: null,
+    restDays: [],
+    timeOff: [],
     weeklyChallenge: null,
     mysteryBox: null,
+    challengeArchive: [],
+    bossRaids: {},
     schemaVersion: SCHEMA_VERSION,
     xpByDay: { [key]: 0 },
   };
@@ -827,17 +1050,26 @@ function Modal({
   );
 }
 
-function Toast({ message, isDark }) {
+function Toast({ message, action, isDark }) {
   if (!message) return null;
   return (
     <div className="fixed bottom-6 left-1/2 z-50 -translate-x-1/2">
       <div
         className={cx(
-          "rounded-full px-4 py-2 text-xs font-semibold shadow-lg",
+          "flex items-center gap-3 rounded-full px-4 py-2 text-xs font-semibold shadow-lg",
           isDark ? "bg-zinc-100 text-zinc-900" : "bg-zinc-900 text-white"
         )}
       >
-        {message}
+        <span>{message}</span>
+        {action ? (
+          <button
+            type="button"
+            onClick={action.onClick}
+            className={cx("font-extrabold uppercase tracking-wide", isDark ? "text-violet-700" : "text-violet-300")}
+          >
+            {action.label}
+          </button>
+        ) : null}
       </div>
     </div>
   );
@@ -849,7 +1081,11 @@ function Toast({ message, isDark }) {
 function DayInspector({ state, selectedDay, setState, isDark, border, surface, textMuted }) {
   const entry = state.days[selectedDay] || { completed: {}, earnedXP: 0, xpDebt: 0, note: "" };
   const completedCount = state.quests.filter((q) => entry.completed?.[q.id]?.done).length;
-  const total = state.quests.length;
+  const total = state.quests.filter((q) => isQuestActive(q) || entry.completed?.[q.id]?.done).length;
+  const loggedEntries = state.quests
+    .filter((q) => entry.completed?.[q.id]?.done)
+    .map((quest) => ({ quest, logged: formatLoggedValue(entry.completed[quest.id]) }))
+    .filter((row) => row.logged);
 
   return (
     <Card className="p-4" border={border} surface={surface}>
@@ -880,6 +1116,20 @@ function DayInspector({ state, selectedDay, setState, isDark, border, surface, t
         </div>
       ) : null}
 
+      {loggedEntries.length ? (
+        <div className="mt-4">
+          <div className={cx("text-xs font-semibold", textMuted)}>Training log</div>
+          <div className="mt-2 space-y-1">
+            {loggedEntries.map(({ quest, logged }) => (
+              <div key={quest.id} className="flex items-center justify-between gap-2 text-xs">
+                <span className="truncate font-semibold">{quest.name}</span>
+                <span className={textMuted}>{logged}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : null}
+
       <div className="mt-4">
         <div className={cx("text-xs font-semibold", textMuted)}>Notes</div>
         <textarea
@@ -909,13 +1159,24 @@ function DayInspector({ state, selectedDay, setState, isDark, border, surface, t
 function DayModalContent({ dayKey, state, setState, settings, isDark, border, textMuted }) {
   const entry = state.days[dayKey] || { completed: {}, earnedXP: 0, xpDebt: 0, note: "" };
   const dayDate = new Date(`${dayKey}T00:00:00`);
-  const scheduled = state.quests.filter((q) => isQuestScheduledForDate(q, dayDate));
-  const completed = scheduled.filter((q) => !!entry.completed?.[q.id]?.done);
-  const missedQuests = scheduled.filter((q) => !entry.completed?.[q.id]?.done);
-  const missed = entry.note === "(missed)";
+  // Completions of since-archived quests still count towards the day.
+  const completed = state.quests.filter((q) => !!entry.completed?.[q.id]?.done);
+  const missedQuests = state.quests.filter((q) => isQuestDueForDate(q, dayDate, state.days) && !entry.completed?.[q.id]?.done);
+  const scheduled = [...completed, ...missedQuests];
+  const timeOff = timeOffForDay(state.timeOff, dayKey);
+  const missed = entry.note === "(missed)" && !timeOff;
   const dayWindowEnded = hasDayWindowEnded(dayKey, settings);
-  const pendingLabel = dayWindowEnded ? "Missed" : "Pending";
-  const pendingTone = dayWindowEnded ? "warn" : "neutral";
+  const pendingLabel = timeOff ? "Skipped" : dayWindowEnded ? "Missed" : "Pending";
+  const pendingTone = dayWindowEnded && !timeOff ? "warn" : "neutral";
+  const progressionEvents = (entry.events || []).filter(isProgressionEvent);
+  const debtCharges = (entry.activity || []).filter((e) => e.type === "debt_applied" && e.breakdown);
+  const nextDayKey = fmtDateKey(addDays(dayDate, 1));
+  const penalties = [
+    ...(entry.penalties || []).map((penalty) => ({ penalty, label: `Served ${dayKey}` })),
+    ...(state.days[nextDayKey]?.penalties || [])
+      .filter((penalty) => penalty.sourceDay === dayKey)
+      .map((penalty) => ({ penalty, label: `Scheduled for ${nextDayKey}` })),
+  ];
 
   return (
     <div className="max-h-[70vh] space-y-4 overflow-y-auto pr-1">
@@ -932,6 +1193,15 @@ function DayModalContent({ dayKey, state, setState, settings, isDark, border, te
         </div>
       </div>
 
+      {timeOff ? (
+        <div className={cx("rounded-xl border p-3 text-sm", isDark ? "border-zinc-800 bg-zinc-950/10" : "border-zinc-200 bg-white")}>
+          <div className="font-extrabold">{TIME_OFF_KINDS[timeOff.kind].label} day</div>
+          <div className={cx("mt-1 text-xs", textMuted)}>
+            {timeOff.note || "Doesn't count towards debt, streak or compliance."}
+          </div>
+        </div>
+      ) : null}
+
       {missed ? (
         <div className={cx("rounded-xl border p-3 text-sm", isDark ? "border-zinc-800 bg-zinc-950/10" : "border-zinc-200 bg-white")}>
           <div className="font-extrabold">Missed day</div>
@@ -950,6 +1220,80 @@ function DayModalContent({ dayKey, state, setState, settings, isDark, border, te
           <div className="mt-1 text-xs">
             <span className="font-bold">{entry.xpDebt}</span> XP must be repaid before rewards apply.
           </div>
+          {debtCharges.map((charge) => (
+            <div key={charge.id} className="mt-2 space-y-0.5 text-xs">
+              <div className="font-semibold">
+                {DEBT_REASONS[charge.reason] || charge.reason}: {charge.amount} XP ({DEBT_MODES[charge.breakdown.mode]?.label || charge.breakdown.mode})
+              </div>
+              {formatDebtBreakdown(charge.breakdown).map((row, idx) => (
+                <div key={`${charge.id}-${idx}`} className="flex justify-between gap-2">
+                  <span className="truncate">{row.label}</span>
+                  <span>+{row.amount}</span>
+                </div>
+              ))}
+              {charge.breakdown.capped ? <div className="italic">Capped by the daily maximum.</div> : null}
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      {penalties.length ? (
+        <div>
+          <div className="text-sm font-extrabold">Penalties</div>
+          <div className="mt-2 space-y-2">
+            {penalties.map(({ penalty, label }) => (
+              <div key={`${label}-${penalty.id}`} className={cx("rounded-xl border p-3", border)}>
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-sm font-bold">No-phone block • {penalty.minutes} min</div>
+                  <Pill tone={penalty.status === "completed" ? "good" : "bad"} isDark={isDark}>
+                    {penalty.status === "completed" ? "Served" : "Unfinished"}
+                  </Pill>
+                </div>
+                <div className={cx("mt-1 text-xs", textMuted)}>
+                  {penalty.reason === "failed" ? "Failed" : "Missed"} {penalty.sourceQuestName} on {penalty.sourceDay} • {label}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : null}
+
+      {progressionEvents.length ? (
+        <div>
+          <div className="text-sm font-extrabold">Progression</div>
+          <div className="mt-2 space-y-2">
+            {progressionEvents.map((event) => {
+              const quest = state.quests.find((q) => q.id === event.questId);
+              const raised = event.type === "target_raised" || event.type === "rank_promoted";
+              return (
+                <div key={`${event.type}-${event.questId}-${event.at}`} className={cx("rounded-xl border p-3", border)}>
+                  <div className="flex items-center justify-between gap-2">
+                    <div className="text-sm font-bold">{quest?.name || event.questName}</div>
+                    <Pill tone={raised ? "good" : event.type === "rank_demoted" ? "bad" : "warn"} isDark={isDark}>
+                      {PROGRESSION_EVENT_LABELS[event.type]}
+                    </Pill>
+                  </div>
+                  <div className={cx("mt-1 text-xs", textMuted)}>{formatProgressionEvent(event, quest)}</div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ) : null}
+
+      {entry.activity?.length ? (
+        <div>
+          <div className="text-sm font-extrabold">Activity log</div>
+          <div className={cx("mt-2 space-y-1 rounded-xl border p-3 text-xs", border)}>
+            {entry.activity.map((event) => (
+              <div key={event.id} className="flex items-center justify-between gap-2">
+                <span>{formatActivityEvent(event)}</span>
+                <span className={textMuted}>
+                  {event.at ? new Date(event.at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) : ""}
+                </span>
+              </div>
+            ))}
+          </div>
         </div>
       ) : null}
 
@@ -962,16 +1306,31 @@ function DayModalContent({ dayKey, state, setState, settings, isDark, border, te
         </div>
         <div className="mt-2 space-y-2">
           {completed.length ? (
-            completed.map((q) => (
-              <div key={q.id} className={cx("rounded-xl border p-3", border)}>
-                <div className="flex items-center justify-between">
-                  <div className="text-sm font-bold">{q.name}</div>
-                  <Pill tone="good" isDark={isDark}>
-                    Complete
-                  </Pill>
+            completed.map((q) => {
+              const logged = formatLoggedValue(entry.completed?.[q.id]);
+              const breakdown = formatAwardBreakdown(entry.completed?.[q.id]?.breakdown);
+              return (
+                <div key={q.id} className={cx("rounded-xl border p-3", border)}>
+                  <div className="flex items-center justify-between">
+                    <div className="text-sm font-bold">
+                      {q.name}
+                      {isQuestActive(q) ? null : (
+                        <span className={cx("ml-1 text-xs font-semibold", textMuted)}>({QUEST_LIFECYCLES[questLifecycle(q)].label.toLowerCase()})</span>
+                      )}
+                    </div>
+                    <Pill tone="good" isDark={isDark}>
+                      Complete
+                    </Pill>
+                  </div>
+                  {logged ? <div className={cx("mt-1 text-xs", textMuted)}>Logged: {logged}</div> : null}
+                  {breakdown ? (
+                    <div className={cx("mt-1 text-xs", textMuted)}>
+                      +{entry.completed[q.id].xp || 0} XP — {breakdown}
+                    </div>
+                  ) : null}
                 </div>
-              </div>
-            ))
+              );
+            })
           ) : (
             <div className={cx("rounded-xl border p-3 text-sm", border)}>
               <div className={cx("text-xs", textMuted)}>No completed tasks recorded for this day.</div>
@@ -1210,8 +1569,14 @@ function Header() {
     onOpenSettings,
     overallRank,
     totalXP,
+    cooldown,
+    canTakeRestDay,
+    onTakeRestDay,
+    onDeclareTimeOff,
+    onCancelTimeOff,
     state,
     setState,
+    nowTick,
     joinDateKey,
     calCursor,
     setCalCursor,
@@ -1228,6 +1593,17 @@ function Header() {
   surface,
   textMuted,
 }) {
+  const todayDate = new Date(`${dateKey}T00:00:00`);
+  const daySlots = slotMarkers(
+    state.quests.filter((q) => isQuestScheduledForDate(q, todayDate, state.days)),
+    settings,
+    {
+      isDone: (q) => !!state.days[dateKey]?.completed?.[q.id]?.done,
+      isDue: (q) => isQuestDueForDate(q, todayDate, state.days),
+      now: new Date(nowTick),
+    }
+  );
+
   return (
     <div className="grid grid-cols-1 gap-4 lg:grid-cols-3">
       <div className="space-y-4 lg:col-span-2">
@@ -1297,10 +1673,15 @@ function Header() {
                   <div className={cx("text-sm font-semibold", textMuted)}>
                     {playerAge !== null ? `${playerAge} years` : "Unknown"}
                   </div>
-                  <div className="pt-1">
+                  <div className="flex flex-wrap gap-2 pt-1">
                     <Pill tone={overallRank === "S" || overallRank === "A" ? "good" : overallRank === "E" ? "warn" : "neutral"} isDark={isDark}>
                       Rank {overallRank}
                     </Pill>
+                    {isHardcore(settings) ? (
+                      <Pill tone="bad" isDark={isDark}>
+                        Hardcore
+                      </Pill>
+                    ) : null}
                   </div>
                   <div className={cx("text-sm font-semibold", textMuted)}>Total XP: {totalXP}</div>
                 </div>
@@ -1309,16 +1690,38 @@ function Header() {
           </div>
         </Card>
 
+        <Card className="p-4" border={border} surface={surface}>
+          <div className="flex items-center justify-between gap-3">
+            <div className="text-lg font-extrabold">Cooldown</div>
+            <Pill tone={cooldown ? "warn" : "good"} isDark={isDark}>
+              {cooldown ? formatCooldownRemaining(cooldown.remainingMs) : "Ready"}
+            </Pill>
+          </div>
+          <div className={cx("mt-2 text-sm", textMuted)}>
+            {cooldown
+              ? `${cooldown.label}: body quests ${cooldown.locksBody ? "are locked" : "give half XP"} until it ends.`
+              : "No cooldown active. Boss raids and back-to-back high-intensity days trigger recovery."}
+          </div>
+          <div className="mt-3">
+            <Button onClick={onTakeRestDay} disabled={!canTakeRestDay} variant="outline" isDark={isDark} className="w-full">
+              {canTakeRestDay ? "Use rest-day token" : "Rest-day token used this week"}
+            </Button>
+          </div>
+        </Card>
+
         <QuoteOfTheDay isDark={isDark} border={border} surface={surface} textMuted={textMuted} />
 
         <DayTimerClock
           wakeTime={settings.wakeTime}
           bedTime={settings.bedTime}
+          cooldownUntilMs={cooldown?.untilMs}
+          cooldownLabel={cooldown?.label}
           isDark={isDark}
           border={border}
           surface={surface}
           textMuted={textMuted}
           Card={Card}
+          slots={daySlots}
         />
 
         <HomeCalendarSection
@@ -1326,6 +1729,8 @@ function Header() {
           state={state}
           settings={settings}
           setState={setState}
+          onDeclareTimeOff={onDeclareTimeOff}
+          onCancelTimeOff={onCancelTimeOff}
           joinDateKey={joinDateKey}
           calCursor={calCursor}
           setCalCursor={setCalCursor}
@@ -1347,11 +1752,89 @@ function Header() {
   );
 }
 
+function TimeOffContent({ dateKey, timeOff, onDeclare, onCancel, toneCls, isDark, border, textMuted }) {
+  const [draft, setDraft] = useState({ kind: "vacation", start: dateKey, end: dateKey, note: "" });
+  const [error, setError] = useState("");
+  const inputCls = cx(
+    "mt-1 w-full rounded-xl border px-3 py-2 text-sm",
+    isDark ? "border-zinc-700 bg-zinc-900 text-zinc-100" : "border-zinc-200 bg-white text-zinc-900"
+  );
+  const ranges = [...timeOff].sort((a, b) => b.start.localeCompare(a.start));
+
+  function update(patch) {
+    setDraft((prev) => ({ ...prev, ...patch }));
+    setError("");
+  }
+
+  function submit() {
+    const message = onDeclare(draft);
+    if (message) {
+      setError(message);
+      return;
+    }
+    setDraft((prev) => ({ ...prev, note: "" }));
+  }
+
+  return (
+    <div className="max-h-[70vh] space-y-4 overflow-y-auto pr-1">
+      <div className="flex gap-2">
+        {Object.entries(TIME_OFF_KINDS).map(([kind, { label }]) => (
+          <Button key={kind} variant={draft.kind === kind ? "default" : "outline"} onClick={() => update({ kind })} isDark={isDark}>
+            {label}
+          </Button>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <label className="text-xs font-semibold">
+          From
+          <input type="date" value={draft.start} onChange={(e) => update({ start: e.target.value })} className={inputCls} />
+        </label>
+        <label className="text-xs font-semibold">
+          To
+          <input type="date" value={draft.end} min={draft.start || undefined} onChange={(e) => update({ end: e.target.value })} className={inputCls} />
+        </label>
+      </div>
+      <label className="block text-xs font-semibold">
+        Note
+        <input value={draft.note} onChange={(e) => update({ note: e.target.value })} placeholder="Optional" className={inputCls} />
+      </label>
+      {error ? <div className="text-xs font-semibold text-red-500">{error}</div> : null}
+      <div className={cx("text-xs", textMuted)}>
+        Covered days add no debt or penalties and don't break your streak. Debt already charged on them is cleared.
+      </div>
+      <Button onClick={submit} isDark={isDark}>
+        Add time off
+      </Button>
+
+      {ranges.length ? (
+        <div className="space-y-2">
+          <div className="text-sm font-extrabold">Declared</div>
+          {ranges.map((range) => (
+            <div key={range.id} className={cx("flex items-center justify-between gap-2 rounded-xl border p-3", border)}>
+              <div className="min-w-0">
+                <span className={cx("inline-flex items-center rounded-full px-2.5 py-1 text-xs font-semibold", toneCls[range.kind])}>
+                  {formatTimeOffRange(range)}
+                </span>
+                {range.note ? <div className={cx("mt-1 truncate text-xs", textMuted)}>{range.note}</div> : null}
+              </div>
+              <Button variant="outline" onClick={() => onCancel(range.id)} isDark={isDark}>
+                Remove
+              </Button>
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
 function HomeCalendarSection({
   dateKey,
   state,
   settings,
   setState,
+  onDeclareTimeOff,
+  onCancelTimeOff,
   joinDateKey,
   calCursor,
   setCalCursor,
@@ -1371,26 +1854,31 @@ function HomeCalendarSection({
   const [viewMode, setViewMode] = useState("month");
   const [weekCursor, setWeekCursor] = useState(dateKey);
   const [showHint, setShowHint] = useState(false);
+  const [timeOffOpen, setTimeOffOpen] = useState(false);
   const todayDate = new Date(dateKey);
-  const totalQuests = state.quests.length;
+  const totalQuests = state.quests.filter(isQuestActive).length;
 
   function dayStatus(date) {
     const key = fmtDateKey(date);
     if (key < joinDateKey) return "inactive";
+    const off = timeOffForDay(state.timeOff, key);
+    if (off) return off.kind;
     const entry = state.days[key];
     const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
     const isFuture = dateOnly > todayDate;
     if (isFuture || !totalQuests) return "none";
     const doneCount = state.quests.filter((q) => !!entry?.completed?.[q.id]?.done).length;
-    if (doneCount === 0) return "missed";
-    if (doneCount >= totalQuests) return "good";
-    return "partial";
+    const dueLeft = state.quests.filter((q) => isQuestDueForDate(q, dateOnly, state.days) && !entry?.completed?.[q.id]?.done).length;
+    if (!dueLeft) return doneCount ? "good" : "none";
+    return doneCount ? "partial" : "missed";
   }
 
   const toneCls = {
     good: isDark ? "bg-emerald-900/40 text-emerald-100" : "bg-emerald-200 text-emerald-900",
     partial: isDark ? "bg-amber-900/40 text-amber-100" : "bg-amber-200 text-amber-900",
     missed: isDark ? "bg-rose-900/40 text-rose-100" : "bg-rose-200 text-rose-900",
+    vacation: isDark ? "bg-sky-900/40 text-sky-100" : "bg-sky-200 text-sky-900",
+    sick: isDark ? "bg-violet-900/40 text-violet-100" : "bg-violet-200 text-violet-900",
     inactive: isDark ? "bg-zinc-900/40 text-zinc-300" : "bg-zinc-100 text-zinc-500",
     none: "bg-transparent",
   };
@@ -1445,6 +1933,9 @@ function HomeCalendarSection({
               Month
             </button>
           </div>
+          <Button variant="outline" onClick={() => setTimeOffOpen(true)} isDark={isDark} className="h-8 px-3 text-xs">
+            Time off
+          </Button>
           <button
             type="button"
             onClick={() => setShowHint((v) => !v)}
@@ -1478,6 +1969,11 @@ function HomeCalendarSection({
             <Pill tone="bad" isDark={isDark}>
               Missed
             </Pill>
+            {Object.entries(TIME_OFF_KINDS).map(([kind, { label }]) => (
+              <span key={kind} className={cx("inline-flex items-center rounded-full px-2.5 py-1 font-semibold", toneCls[kind])}>
+                {label}
+              </span>
+            ))}
           </div>
         </div>
       ) : null}
@@ -1584,23 +2080,211 @@ function HomeCalendarSection({
       >
         <DayModalContent dayKey={modalDayKey} state={state} setState={setState} settings={settings} isDark={isDark} border={border} textMuted={textMuted} />
       </Modal>
+
+      <Modal
+        open={timeOffOpen}
+        title="Time off"
+        subtitle="Vacation and sick days don't count as missed."
+        onClose={() => setTimeOffOpen(false)}
+        isDark={isDark}
+        border={border}
+        surface={surface}
+        textMuted={textMuted}
+        showHint={false}
+      >
+        <TimeOffContent
+          dateKey={dateKey}
+          timeOff={state.timeOff || []}
+          onDeclare={onDeclareTimeOff}
+          onCancel={onCancelTimeOff}
+          toneCls={toneCls}
+          isDark={isDark}
+          border={border}
+          textMuted={textMuted}
+        />
+      </Modal>
     </Card>
   );
 }
+const SLOT_GROUP_STYLES = {
+  morning: { icon: Sunrise, color: "#F59E0B" },
+  afternoon: { icon: Sun, color: "#0EA5E9" },
+  evening: { icon: Moon, color: "#8B5CF6" },
+  anytime: { icon: Clock, color: "#94A3B8" },
+};
+
+function BossRaidCard({ boss, progress, history, onTogglePhase, locked, isDark, border, surface, textMuted }) {
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const pct = progress.total ? Math.round((progress.clearedCount / progress.total) * 100) : 0;
+
+  return (
+    <div className={cx("mt-4 rounded-2xl border p-3", border)}>
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2 text-sm font-extrabold">
+            <Trophy className="h-4 w-4" />
+            <span>{boss.name}</span>
+          </div>
+          <div className={cx("mt-1 text-xs", textMuted)}>
+            {progress.legacy
+              ? "Cleared this week."
+              : `Rank ${boss.rank} • ${boss.baseXP} XP across ${boss.phases.length} phases + ${boss.bonusXP} XP for a full clear`}
+          </div>
+        </div>
+        <Pill tone={progress.done ? "good" : progress.clearedCount ? "warn" : "neutral"} isDark={isDark}>
+          {progress.clearedCount}/{progress.total}
+        </Pill>
+      </div>
+      <div className={cx("mt-3 h-2 overflow-hidden rounded-full", isDark ? "bg-zinc-800" : "bg-zinc-200")}>
+        <div className="h-full rounded-full bg-emerald-500 transition-all" style={{ width: `${pct}%` }} />
+      </div>
+      {progress.legacy ? null : (
+        <div className="mt-3 space-y-2">
+          {boss.phases.map((phase, index) => {
+            const cleared = progress.cleared.includes(phase.id);
+            const color = getDomainColor(phase.domain);
+            return (
+              <button
+                key={phase.id}
+                type="button"
+                onClick={() => onTogglePhase(phase.id)}
+                disabled={cleared && locked}
+                className={cx(
+                  "flex w-full items-center justify-between gap-3 rounded-xl border px-3 py-2 text-left transition",
+                  isDark ? "border-zinc-800 hover:bg-zinc-900" : "border-zinc-200 hover:bg-zinc-50"
+                )}
+                style={cleared ? { borderColor: rgba(color, 0.5), backgroundColor: rgba(color, isDark ? 0.15 : 0.08) } : undefined}
+                aria-pressed={cleared}
+              >
+                <div className="flex min-w-0 items-center gap-2">
+                  <span
+                    className="flex h-5 w-5 shrink-0 items-center justify-center rounded-full border text-[11px] font-bold"
+                    style={{ borderColor: color, color: cleared ? "#ffffff" : color, backgroundColor: cleared ? color : "transparent" }}
+                  >
+                    {cleared ? "✓" : index + 1}
+                  </span>
+                  <div className="min-w-0">
+                    <div className={cx("truncate text-sm font-semibold", cleared ? "line-through" : "")}>{phase.label}</div>
+                    <div className={cx("text-[11px]", textMuted)}>{phase.detail}</div>
+                  </div>
+                </div>
+                <span className="shrink-0 text-xs font-bold" style={{ color }}>
+                  +{phase.xp} XP
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+      <div className={cx("mt-2 text-[11px]", textMuted)}>
+        {progress.xp ? `${progress.xp} XP banked this week. ` : ""}Each phase pays on its own; a full clear starts boss recovery.
+      </div>
+      {history.length ? (
+        <button type="button" onClick={() => setHistoryOpen(true)} className={cx("mt-3 text-xs font-semibold", textMuted)}>
+          Boss history ({history.length} {history.length === 1 ? "week" : "weeks"})
+        </button>
+      ) : null}
+
+      <Modal
+        open={historyOpen}
+        title="Boss history"
+        subtitle="Every week since your first raid."
+        onClose={() => setHistoryOpen(false)}
+        isDark={isDark}
+        border={border}
+        surface={surface}
+        textMuted={textMuted}
+        showHint={false}
+      >
+        <BossHistoryContent history={history} isDark={isDark} border={border} textMuted={textMuted} />
+      </Modal>
+    </div>
+  );
+}
+
+const BOSS_STATUS_PILLS = {
+  cleared: { tone: "good", label: "Cleared" },
+  partial: { tone: "warn", label: "Partial" },
+  failed: { tone: "bad", label: "Failed" },
+  missed: { tone: "neutral", label: "No raid" },
+};
+
+function BossHistoryContent({ history, isDark, border, textMuted }) {
+  const score = bossScoreboard(history);
+  const tiles = [
+    { label: "Clear rate", value: `${score.clearRate}%`, hint: `${score.cleared}/${score.weeks} weeks` },
+    { label: "Clear streak", value: score.streak, hint: `Best ${score.bestStreak}` },
+    { label: "Boss XP", value: score.totalXP, hint: score.partial ? `${score.partial} partial` : "All weeks" },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-2">
+        {tiles.map((tile) => (
+          <div key={tile.label} className={cx("rounded-xl border p-2 text-center", border)}>
+            <div className={cx("text-[11px]", textMuted)}>{tile.label}</div>
+            <div className="text-lg font-black">{tile.value}</div>
+            <div className={cx("text-[11px]", textMuted)}>{tile.hint}</div>
+          </div>
+        ))}
+      </div>
+      <div className="space-y-2">
+        {history.map((week) => {
+          const pill = BOSS_STATUS_PILLS[week.status];
+          return (
+            <div key={week.weekKey} className={cx("rounded-xl border p-3", border)}>
+              <div className="flex items-center justify-between gap-2 text-sm">
+                <span className="font-semibold">Week of {week.weekKey}</span>
+                <span className="flex items-center gap-2">
+                  {week.xp ? <span className={cx("text-xs", textMuted)}>{week.xp} XP</span> : null}
+                  <Pill tone={pill.tone} isDark={isDark}>
+                    {week.status === "partial" ? `${week.clearedCount}/${week.total}` : pill.label}
+                  </Pill>
+                </span>
+              </div>
+              {week.raid ? (
+                <div className="mt-2 space-y-1">
+                  {week.raid.phases.map((phase) => (
+                    <div key={phase.id} className="flex items-center justify-between gap-2 text-xs">
+                      <span className={cx("truncate", week.cleared.includes(phase.id) ? "" : textMuted)}>
+                        {week.cleared.includes(phase.id) ? "✓ " : ""}
+                        {phase.label}
+                      </span>
+                      <span className={cx("shrink-0", textMuted)}>{phase.detail}</span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className={cx("mt-1 text-xs", textMuted)}>
+                  {week.status === "missed" ? "The app wasn't opened with the boss on that week." : "Classic raid; its targets weren't saved."}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 function TodayQuestsSection({
   dateKey,
   state,
   todays,
   settings,
   boss,
-  bossDone,
-  toggleBossDone,
+  bossProgress,
+  bossHistory,
+  onToggleBossPhase,
   isWithinWindowNow,
   timerTick,
   onQuestStart,
   onQuestPause,
   onQuestResume,
   onQuestComplete,
+  onPenaltyStart,
+  onPenaltyPause,
+  onPenaltyFinish,
   isDark,
   border,
   surface,
@@ -1613,10 +2297,12 @@ function TodayQuestsSection({
   const holdRef = useRef({});
   const [collapsingIds, setCollapsingIds] = useState([]);
   const [expandedCategories, setExpandedCategories] = useState(() => new Set());
+  const [groupBy, setGroupBy] = useState("slot");
   const [openQuestId, setOpenQuestId] = useState("");
+  const [performedDrafts, setPerformedDrafts] = useState({});
   const categoryRefs = useRef({});
   const todayDate = new Date(`${dateKey}T00:00:00`);
-  const scheduledQuests = state.quests.filter((q) => isQuestScheduledForDate(q, todayDate));
+  const scheduledQuests = state.quests.filter((q) => isQuestScheduledForDate(q, todayDate, state.days));
   const doneCount = scheduledQuests.filter((q) => !!todays.completed?.[q.id]?.done).length;
   const total = scheduledQuests.length;
   const percent = total ? Math.round((doneCount / total) * 100) : 0;
@@ -1628,35 +2314,56 @@ function TodayQuestsSection({
     { id: "hobbies", label: "Hobbies" },
     { id: "life", label: "Life" },
   ];
+  const slotGroups = ["morning", "afternoon", "evening"].map((id) => {
+    const window = namedSlotWindow(id, settings);
+    return {
+      id,
+      label: TIME_SLOTS[id].label,
+      hint: `${formatSlotClock(window.start)}–${formatSlotClock(window.end)}`,
+      ...SLOT_GROUP_STYLES[id],
+    };
+  });
+  slotGroups.push({ id: "anytime", label: "Anytime", ...SLOT_GROUP_STYLES.anytime });
+  const groups = groupBy === "slot" ? slotGroups : categories;
+  const groupOf = (q) => (groupBy === "slot" ? questSlotGroup(q, settings) : q.category);
+  const justCreatedGroup = !justCreatedDomain
+    ? ""
+    : groupBy === "slot"
+    ? questSlotGroup(state.quests.find((q) => q.id === justCreatedId), settings)
+    : justCreatedDomain;
 
   useEffect(() => {
-    if (!justCreatedDomain) return;
+    if (!justCreatedGroup) return;
     setExpandedCategories((prev) => {
       const next = new Set(prev);
-      next.add(justCreatedDomain);
+      next.add(justCreatedGroup);
       return next;
     });
-    const node = categoryRefs.current[justCreatedDomain];
+    const node = categoryRefs.current[justCreatedGroup];
     if (node && node.scrollIntoView) {
       node.scrollIntoView({ behavior: "smooth", block: "start" });
     }
-  }, [justCreatedDomain]);
+  }, [justCreatedGroup]);
 
-  function orderedQuestsForCategory(catId) {
+  function orderedQuestsForGroup(groupId) {
     return scheduledQuests
-      .filter((q) => q.category === catId)
+      .filter((q) => groupOf(q) === groupId)
       .sort((a, b) => {
         const aDone = !!todays.completed?.[a.id]?.done;
         const bDone = !!todays.completed?.[b.id]?.done;
         if (aDone !== bDone) return aDone ? 1 : -1;
+        const bySlot = compareBySlot(a, b, settings);
+        if (bySlot) return bySlot;
         if (a.priority !== b.priority) return a.priority === "main" ? -1 : 1;
         return createdAtToMs(b.createdAt) - createdAtToMs(a.createdAt);
       });
   }
 
   function renderQuestCard(q) {
-    const done = !!todays.completed?.[q.id]?.done;
+    const entry = todays.completed?.[q.id];
+    const done = !!entry?.done;
     const isTimed = questIsTimed(q);
+    const logsValue = !isTimed && q.measurementType !== "habit";
     const status = q.status || "idle";
     const isActive = status === "active";
     const isPaused = status === "paused";
@@ -1664,6 +2371,7 @@ function TodayQuestsSection({
     const elapsedMs = isTimed ? (isActive && q.startedAt ? Math.max(0, timerTick - q.startedAt) : q.elapsedMs || 0) : 0;
     const limitMs = questTimerLimitMs(q);
     const remainingMs = limitMs ? Math.max(0, limitMs - elapsedMs) : 0;
+    const overdue = !done && isQuestDueForDate(q, todayDate, state.days) && isSlotOverdue(q, settings, new Date(timerTick));
 
     const domainColor = getDomainColor(q.category);
     const borderColor = rgba(domainColor, isDark ? 0.35 : 0.18);
@@ -1694,10 +2402,38 @@ function TodayQuestsSection({
       setOpenQuestId((prev) => (prev === q.id ? "" : q.id));
     };
 
+    // The card holds its own buttons and the performed input, so it is a div
+    // acting as a button; keys typed into those controls are left alone.
+    const handleKeyDown = (e) => {
+      if (e.target !== e.currentTarget || (e.key !== "Enter" && e.key !== " ")) return;
+      e.preventDefault();
+      handleClick();
+    };
+
+    const handleComplete = () => {
+      if (!logsValue) {
+        onQuestComplete(q.id);
+        return;
+      }
+      const draft = performedDrafts[q.id];
+      const parsed = draft === undefined || draft === "" ? q.currentTargetValue : Number(draft);
+      if (!Number.isFinite(parsed) || parsed < 0) return;
+      onQuestComplete(q.id, parsed);
+      setPerformedDrafts((prev) => {
+        const next = { ...prev };
+        delete next[q.id];
+        return next;
+      });
+    };
+
     return (
-      <button
+      <div
         key={q.id}
+        role="button"
+        tabIndex={0}
+        aria-expanded={openQuestId === q.id}
         onClick={handleClick}
+        onKeyDown={handleKeyDown}
         onPointerDown={handlePointerDown}
         onPointerUp={clearHold}
         onPointerLeave={clearHold}
@@ -1731,6 +2467,11 @@ function TodayQuestsSection({
               >
                 {q.name}
               </div>
+              {overdue ? (
+                <Pill tone="bad" isDark={isDark}>
+                  Overdue
+                </Pill>
+              ) : null}
               </div>
               {!done && (isActive || isPaused) ? (
                 <div className="flex items-center gap-2">
@@ -1747,7 +2488,7 @@ function TodayQuestsSection({
                   <Button
                     onClick={(e) => {
                       e.stopPropagation();
-                      onQuestComplete(q.id);
+                      handleComplete();
                     }}
                     isDark={isDark}
                     className="px-3 py-1 text-xs"
@@ -1765,17 +2506,54 @@ function TodayQuestsSection({
               <div className={cx("mt-1 text-xs font-semibold", textSoft)}>
                 {isTimed ? `Paused • ${formatElapsed(elapsedMs)} elapsed` : "Paused"}
               </div>
+            ) : q.timeSlot && !done ? (
+              <div className={cx("mt-1 text-xs font-semibold", overdue ? "text-red-500" : textSoft)}>
+                {overdue ? `Slot passed • ${formatQuestSlot(q, settings)}` : formatQuestSlot(q, settings)}
+              </div>
             ) : null}
-            {openQuestId === q.id ? (
-              <div className={cx("mt-2 rounded-xl border p-3 text-xs", border, textMuted)}>
-                {done ? (
-                  <div className="mb-2 font-semibold">
+            {!done && logsValue && (isActive || isPaused) ? (
+              <div
+                className={cx("mt-2 flex items-center gap-2 text-xs font-semibold", textSoft)}
+                onClick={(e) => e.stopPropagation()}
+                onPointerDown={(e) => e.stopPropagation()}
+              >
+                <span>Performed</span>
+                <input
+                  type="number"
+                  min="0"
+                  step={q.measurementType === "distance" ? "0.1" : "1"}
+                  inputMode="decimal"
+                  value={performedDrafts[q.id] ?? ""}
+                  placeholder={String(q.currentTargetValue)}
+                  onChange={(e) => setPerformedDrafts((prev) => ({ ...prev, [q.id]: e.target.value }))}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") handleComplete();
+                  }}
+                  className={cx(
+                    "w-20 rounded-lg border px-2 py-1 text-xs",
+                    isDark ? "border-zinc-700 bg-zinc-900 text-zinc-100" : "border-zinc-200 bg-white text-zinc-900"
+                  )}
+                />
+                <span>
+                  / {q.currentTargetValue} {questUnitLabel(q)}
+                </span>
+              </div>
+            ) : null}
+            {openQuestId === q.id ? (
+              <div className={cx("mt-2 rounded-xl border p-3 text-xs", border, textMuted)}>
+                {done ? (
+                  <div className="mb-2 font-semibold">
                     Completed:{" "}
                     {isTimed
                       ? `${formatElapsed(q.elapsedMs || 0)} total`
                       : q.measurementType === "habit"
                       ? "Habit"
-                      : `${q.currentTargetValue} ${questUnitLabel(q)}`}
+                      : formatLoggedValue(entry) || `${q.currentTargetValue} ${questUnitLabel(q)}`}
+                  </div>
+                ) : null}
+                {done && entry.breakdown ? (
+                  <div className="mb-2">
+                    +{entry.xp || 0} XP — {formatAwardBreakdown(entry.breakdown)}
                   </div>
                 ) : null}
                 <div className="font-semibold">
@@ -1826,7 +2604,7 @@ function TodayQuestsSection({
             ) : null}
           </div>
         </div>
-      </button>
+      </div>
     );
   }
 
@@ -1834,9 +2612,40 @@ function TodayQuestsSection({
     <Card className="p-4" border={border} surface={surface}>
       <div className="flex items-start justify-between gap-3">
         <div className="text-lg font-extrabold">Today’s Quests</div>
-        <Pill tone={percent >= 80 ? "good" : percent >= 40 ? "warn" : "bad"} isDark={isDark}>
-          {percent}%
-        </Pill>
+        <div className="flex items-center gap-2">
+          <div
+            className={cx(
+              "inline-flex items-center gap-1 rounded-2xl border p-0.5 text-xs font-semibold",
+              isDark ? "border-zinc-700 bg-zinc-900" : "border-zinc-200 bg-white"
+            )}
+          >
+            {[
+              { id: "slot", label: "By time" },
+              { id: "domain", label: "By domain" },
+            ].map((opt) => {
+              const active = groupBy === opt.id;
+              return (
+                <button
+                  key={opt.id}
+                  type="button"
+                  onClick={() => setGroupBy(opt.id)}
+                  className="rounded-full px-2.5 py-1 transition"
+                  style={
+                    active
+                      ? { backgroundColor: isDark ? "#ffffff" : "#111827", color: isDark ? "#111827" : "#ffffff" }
+                      : { backgroundColor: "transparent", color: isDark ? "#9CA3AF" : "#4B5563" }
+                  }
+                  aria-pressed={active}
+                >
+                  {opt.label}
+                </button>
+              );
+            })}
+          </div>
+          <Pill tone={percent >= 80 ? "good" : percent >= 40 ? "warn" : "bad"} isDark={isDark}>
+            {percent}%
+          </Pill>
+        </div>
       </div>
 
       {debt > 0 && settings.xpDebtEnabled ? (
@@ -1861,17 +2670,88 @@ function TodayQuestsSection({
           <div>Completions will not count until your wake-to-bed window is active.</div>
         </div>
       ) : null}
+      {(todays.penalties || []).map((penalty) => {
+        const done = penalty.status === "completed";
+        const elapsedMs = penaltyElapsedMs(penalty, timerTick);
+        const remainingMs = Math.max(0, penalty.minutes * 60000 - elapsedMs);
+        return (
+          <div
+            key={penalty.id}
+            className={cx(
+              "mt-3 rounded-xl border p-3 text-sm",
+              done
+                ? border
+                : isDark
+                ? "border-red-900/40 bg-red-900/20 text-red-100"
+                : "border-red-200 bg-red-50 text-red-900"
+            )}
+          >
+            <div className="flex items-center justify-between gap-2">
+              <div className="font-semibold">No-phone block • {penalty.minutes} min</div>
+              {done ? (
+                <Pill tone="good" isDark={isDark}>
+                  Done
+                </Pill>
+              ) : (
+                <div className="flex items-center gap-2">
+                  {penalty.status === "active" ? (
+                    <Button onClick={() => onPenaltyPause(penalty.id)} isDark={isDark} className="px-3 py-1 text-xs">
+                      Pause
+                    </Button>
+                  ) : (
+                    <Button onClick={() => onPenaltyStart(penalty.id)} isDark={isDark} className="px-3 py-1 text-xs">
+                      {penalty.status === "paused" ? "Resume" : "Start"}
+                    </Button>
+                  )}
+                  <Button
+                    onClick={() => onPenaltyFinish(penalty.id)}
+                    disabled={remainingMs > 0}
+                    isDark={isDark}
+                    className="px-3 py-1 text-xs"
+                  >
+                    Finish
+                  </Button>
+                </div>
+              )}
+            </div>
+            <div className="mt-1 text-xs">
+              {penalty.reason === "failed" ? "Failed" : "Missed"} {penalty.sourceQuestName} on {penalty.sourceDay}.{" "}
+              {done
+                ? "Penalty cleared."
+                : penalty.status === "pending"
+                ? settings.xpDebtEnabled
+                  ? `${penalty.debt} XP debt until finished.`
+                  : "Rewards are blocked until finished."
+                : `${formatElapsed(elapsedMs)} elapsed • ${formatElapsed(remainingMs)} left`}
+            </div>
+          </div>
+        );
+      })}
+
+      {boss ? (
+        <BossRaidCard
+          boss={boss}
+          progress={bossProgress}
+          history={bossHistory}
+          onTogglePhase={onToggleBossPhase}
+          locked={isHardcore(settings)}
+          isDark={isDark}
+          border={border}
+          surface={surface}
+          textMuted={textMuted}
+        />
+      ) : null}
 
       <div className="mt-4 space-y-4">
-            {categories.map((cat) => {
-              const list = orderedQuestsForCategory(cat.id);
+            {groups.map((cat) => {
+              const list = orderedQuestsForGroup(cat.id);
               if (!list.length) return null;
               const expanded = expandedCategories.has(cat.id);
               const visible = expanded ? list : list.slice(0, 2);
-              const Icon = categoryIconForName(cat.label);
-              const headerColor = getDomainColor(cat.id);
+              const Icon = cat.icon || categoryIconForName(cat.label);
+              const headerColor = cat.color || getDomainColor(cat.id);
               const completedCount = list.filter((q) => !!todays.completed?.[q.id]?.done).length;
-              const isJustCreatedDomain = cat.id === justCreatedDomain;
+              const isJustCreatedDomain = cat.id === justCreatedGroup;
               return (
                 <div
                   key={cat.id}
@@ -1895,6 +2775,7 @@ function TodayQuestsSection({
                 <div className={cx("flex items-center gap-2 text-xs font-bold uppercase tracking-[0.2em]", textMuted)} style={{ color: headerColor }}>
                   <Icon className="h-4 w-4" style={{ color: headerColor }} />
                   <span>{cat.label}</span>
+                  {cat.hint ? <span className="normal-case tracking-normal opacity-70">{cat.hint}</span> : null}
                 </div>
                 <div className="flex items-center gap-3">
                   <span className="text-xs font-bold" style={{ color: headerColor }}>
@@ -2081,20 +2962,234 @@ function CalendarPanel({
   );
 }
 
+function ScheduleEditor({ schedule, onChange, color, isDark, textMuted }) {
+  const togglePillClass = "rounded-full px-2.5 py-1 text-sm font-semibold transition";
+  const inputCls = cx(
+    "mt-1 w-full rounded-xl border px-3 py-2 text-sm",
+    isDark ? "border-zinc-700 bg-zinc-900 text-zinc-100" : "border-zinc-200 bg-white text-zinc-900"
+  );
+  const chipStyle = (active) => ({
+    borderColor: active ? color : isDark ? "#0F172A" : "#E5E7EB",
+    color: active ? color : isDark ? "#FFFFFF" : "#9CA3AF",
+    backgroundColor: active ? rgba(color, isDark ? 0.2 : 0.12) : isDark ? "#374151" : "#FFFFFF",
+  });
+  const chipCls = "rounded-full border px-2.5 py-1 text-[11px] font-semibold transition";
+  const error = validateSchedule(schedule);
+
+  function toggleIn(list, value) {
+    return list.includes(value) ? list.filter((v) => v !== value) : [...list, value].sort((a, b) => a - b);
+  }
+
+  return (
+    <div>
+      <div
+        className={cx(
+          "mt-2 inline-flex w-fit flex-wrap items-center gap-1 rounded-2xl border p-0.5 text-sm font-semibold",
+          isDark ? "border-zinc-700 bg-zinc-900" : "border-zinc-200 bg-white"
+        )}
+      >
+        {Object.entries(SCHEDULE_KINDS).map(([kind, { label }]) => {
+          const active = schedule.frequency === kind;
+          return (
+            <button
+              key={kind}
+              type="button"
+              onClick={() => onChange({ frequency: kind, daysOfWeek: kind === "daily" ? [0, 1, 2, 3, 4, 5, 6] : schedule.daysOfWeek })}
+              className={togglePillClass}
+              style={
+                active
+                  ? { backgroundColor: isDark ? "#ffffff" : "#111827", color: isDark ? "#111827" : "#ffffff" }
+                  : { backgroundColor: "transparent", color: isDark ? "#9CA3AF" : "#4B5563" }
+              }
+              aria-pressed={active}
+            >
+              {label}
+            </button>
+          );
+        })}
+      </div>
+
+      {schedule.frequency === "weekly" ? (
+        <div className="mt-3 flex flex-wrap items-center justify-center gap-2">
+          {WEEKDAY_LABELS.map((label, idx) => {
+            const active = schedule.daysOfWeek.includes(idx);
+            return (
+              <button
+                key={idx}
+                type="button"
+                onClick={() => onChange({ daysOfWeek: toggleIn(normalizeDaysOfWeek(schedule.daysOfWeek), idx) })}
+                className={chipCls}
+                style={chipStyle(active)}
+                aria-pressed={active}
+              >
+                {label}
+              </button>
+            );
+          })}
+        </div>
+      ) : null}
+
+      {schedule.frequency === "interval" ? (
+        <div className="mt-3 grid grid-cols-2 gap-3">
+          <label className="text-xs font-semibold">
+            Every (days)
+            <select value={schedule.intervalDays} onChange={(e) => onChange({ intervalDays: Number(e.target.value) })} className={inputCls}>
+              {Array.from({ length: MAX_INTERVAL_DAYS - 1 }, (_, i) => i + 2).map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-xs font-semibold">
+            Counting from
+            <input
+              type="date"
+              value={schedule.anchorDate || ""}
+              onChange={(e) => onChange({ anchorDate: e.target.value || null })}
+              className={inputCls}
+            />
+          </label>
+        </div>
+      ) : null}
+
+      {schedule.frequency === "per_week" ? (
+        <label className="mt-3 block text-xs font-semibold">
+          Sessions per week (any days)
+          <select value={schedule.timesPerWeek} onChange={(e) => onChange({ timesPerWeek: Number(e.target.value) })} className={inputCls}>
+            {[1, 2, 3, 4, 5, 6, 7].map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        </label>
+      ) : null}
+
+      {schedule.frequency === "monthly" ? (
+        <div className="mt-3 grid grid-cols-7 gap-1">
+          {Array.from({ length: 31 }, (_, i) => i + 1).map((day) => {
+            const active = schedule.daysOfMonth.includes(day);
+            return (
+              <button
+                key={day}
+                type="button"
+                onClick={() => onChange({ daysOfMonth: toggleIn(schedule.daysOfMonth, day) })}
+                className={chipCls}
+                style={chipStyle(active)}
+                aria-pressed={active}
+              >
+                {day}
+              </button>
+            );
+          })}
+        </div>
+      ) : null}
+
+      <div className="mt-3 grid grid-cols-2 gap-3">
+        <label className="text-xs font-semibold">
+          Starts
+          <input
+            type="date"
+            value={schedule.startDate || ""}
+            max={schedule.endDate || undefined}
+            onChange={(e) => onChange({ startDate: e.target.value || null })}
+            className={inputCls}
+          />
+        </label>
+        <label className="text-xs font-semibold">
+          Ends
+          <input
+            type="date"
+            value={schedule.endDate || ""}
+            min={schedule.startDate || undefined}
+            onChange={(e) => onChange({ endDate: e.target.value || null })}
+            className={inputCls}
+          />
+        </label>
+      </div>
+      <div className={cx("mt-2 text-xs", error ? "font-semibold text-red-500" : textMuted)}>{error || describeSchedule(schedule)}</div>
+    </div>
+  );
+}
+
+function TimeSlotEditor({ value, onChange, settings, isDark, textMuted }) {
+  const togglePillClass = "rounded-full px-2.5 py-1 text-sm font-semibold transition";
+  const options = [{ id: null, label: "Anytime" }, ...Object.entries(TIME_SLOTS).map(([id, { label }]) => ({ id, label }))];
+
+  return (
+    <div>
+      <div
+        className={cx(
+          "mt-2 inline-flex w-fit flex-wrap items-center gap-1 rounded-2xl border p-0.5 text-sm font-semibold",
+          isDark ? "border-zinc-700 bg-zinc-900" : "border-zinc-200 bg-white"
+        )}
+      >
+        {options.map((opt) => {
+          const active = value.timeSlot === opt.id;
+          return (
+            <button
+              key={opt.id || "anytime"}
+              type="button"
+              onClick={() =>
+                onChange({ timeSlot: opt.id, slotTime: opt.id === "exact" ? value.slotTime || settings.wakeTime || "09:00" : null })
+              }
+              className={togglePillClass}
+              style={
+                active
+                  ? { backgroundColor: isDark ? "#ffffff" : "#111827", color: isDark ? "#111827" : "#ffffff" }
+                  : { backgroundColor: "transparent", color: isDark ? "#9CA3AF" : "#4B5563" }
+              }
+              aria-pressed={active}
+            >
+              {opt.label}
+            </button>
+          );
+        })}
+      </div>
+      {value.timeSlot === "exact" ? (
+        <label className="mt-3 block text-xs font-semibold">
+          At
+          <input
+            type="time"
+            value={value.slotTime || ""}
+            onChange={(e) => e.target.value && onChange({ slotTime: e.target.value })}
+            className={cx(
+              "mt-1 w-full rounded-xl border px-3 py-2 text-sm",
+              isDark ? "border-zinc-700 bg-zinc-900 text-zinc-100" : "border-zinc-200 bg-white text-zinc-900"
+            )}
+          />
+        </label>
+      ) : null}
+      <div className={cx("mt-2 text-xs", textMuted)}>
+        {value.timeSlot
+          ? value.timeSlot === "exact"
+            ? `${formatQuestSlot(value, settings)} • overdue ${EXACT_SLOT_GRACE_MINUTES} min later if not done.`
+            : `${formatQuestSlot(value, settings)} • overdue once the slot ends.`
+          : "No set time — due any time before bed."}
+      </div>
+    </div>
+  );
+}
+
 function QuestsPanel({
   dateKey,
   state,
   todays,
   settings,
   boss,
-  bossDone,
-  toggleBossDone,
+  bossProgress,
+  bossHistory,
+  onToggleBossPhase,
   isWithinWindowNow,
   timerTick,
   onQuestStart,
   onQuestPause,
   onQuestResume,
   onQuestComplete,
+  onPenaltyStart,
+  onPenaltyPause,
+  onPenaltyFinish,
   textMuted,
   textSoft,
   isDark,
@@ -2103,8 +3198,11 @@ function QuestsPanel({
   updateQuest,
   addQuest,
   deleteQuest,
+  changeQuestLifecycle,
 }) {
   const [editorOpen, setEditorOpen] = useState(false);
+  const [archiveOpen, setArchiveOpen] = useState(false);
+  const [deletedOpen, setDeletedOpen] = useState(false);
   const [categoryFilter, setCategoryFilter] = useState("all");
   const [expandedById, setExpandedById] = useState({});
   const [justCreatedId, setJustCreatedId] = useState("");
@@ -2121,15 +3219,22 @@ function QuestsPanel({
   const [newStartOverrideActive, setNewStartOverrideActive] = useState(false);
   const [showStartAdjust, setShowStartAdjust] = useState(false);
   const [isGeneratingPlan, setIsGeneratingPlan] = useState(false);
-  const [newFrequency, setNewFrequency] = useState("daily");
-  const [newDaysOfWeek, setNewDaysOfWeek] = useState([]);
+  const [newSchedule, setNewSchedule] = useState(() => normalizeSchedule({ frequency: "daily" }));
+  const [newTimeSlot, setNewTimeSlot] = useState(() => normalizeTimeSlot({}));
   const [createError, setCreateError] = useState("");
   const planTimeoutRef = useRef(null);
   const filterOptions = ["all", ...QUEST_CATEGORIES];
 
-  const editorList = (categoryFilter === "all" ? state.quests : state.quests.filter((q) => q.category === categoryFilter))
-    .slice()
+  const filteredQuests = categoryFilter === "all" ? state.quests : state.quests.filter((q) => q.category === categoryFilter);
+  const editorList = filteredQuests
+    .filter(isQuestListed)
     .sort((a, b) => createdAtToMs(b.createdAt) - createdAtToMs(a.createdAt));
+  const archivedList = filteredQuests
+    .filter(isQuestArchived)
+    .sort((a, b) => (b.lifecycleChangedAt || 0) - (a.lifecycleChangedAt || 0));
+  const deletedList = filteredQuests
+    .filter(isQuestDeleted)
+    .sort((a, b) => (b.lifecycleChangedAt || 0) - (a.lifecycleChangedAt || 0));
 
   function toggleExpanded(id) {
     setExpandedById((prev) => ({ ...prev, [id]: !prev[id] }));
@@ -2169,19 +3274,19 @@ function QuestsPanel({
   const trimmedName = newName.trim();
   const unitRequired = effectiveNewMeasurement !== "habit";
   const trimmedUnit = String(newUnit || "").trim();
-  const needsWeeklyDays = newFrequency === "weekly" && newDaysOfWeek.length === 0;
+  const scheduleError = validateSchedule(newSchedule);
   const togglePillClass = "rounded-full px-2.5 py-1 text-sm font-semibold transition";
   const validationError = !trimmedName
     ? "Quest name is required."
     : unitRequired && !trimmedUnit
     ? "Unit is required for this metric."
-    : needsWeeklyDays
-    ? "Pick at least one day for weekly quests."
+    : scheduleError
+    ? scheduleError
     : requiresGoal && !hasGoal
     ? "Set a target goal to generate your routine."
     : "";
   const canCreate = !validationError;
-  const sessionsPerWeek = sessionsPerWeekFromConsistency(newFrequency, newDaysOfWeek);
+  const sessionsPerWeek = sessionsPerWeekForSchedule(newSchedule);
   const progressionPreview = buildQuestProgression({
     sRankTarget: hasGoal ? goalValue : 1,
     startTarget: newStartOverrideActive ? newStartOverrideValue : undefined,
@@ -2224,8 +3329,8 @@ function QuestsPanel({
     setNewStartOverrideActive(false);
     setShowStartAdjust(false);
     setIsGeneratingPlan(false);
-    setNewFrequency("daily");
-    setNewDaysOfWeek([]);
+    setNewSchedule(normalizeSchedule({ frequency: "daily" }));
+    setNewTimeSlot(normalizeTimeSlot({}));
     setCreateError("");
   }
 
@@ -2259,14 +3364,18 @@ function QuestsPanel({
           todays={todays}
           settings={settings}
           boss={boss}
-          bossDone={bossDone}
-          toggleBossDone={toggleBossDone}
+          bossProgress={bossProgress}
+          bossHistory={bossHistory}
+          onToggleBossPhase={onToggleBossPhase}
           isWithinWindowNow={isWithinWindowNow}
           timerTick={timerTick}
           onQuestStart={onQuestStart}
           onQuestPause={onQuestPause}
           onQuestResume={onQuestResume}
           onQuestComplete={onQuestComplete}
+          onPenaltyStart={onPenaltyStart}
+          onPenaltyPause={onPenaltyPause}
+          onPenaltyFinish={onPenaltyFinish}
           isDark={isDark}
           border={border}
           surface={surface}
@@ -2352,11 +3461,9 @@ function QuestsPanel({
               const needsTarget = measurementRequiresTarget(measurementType);
               const isExpanded = !!expandedById[q.id];
               const domainStyle = getDomainStyle(domain, isDark);
-              const frequency = normalizeFrequency(q.frequency);
-              const daysOfWeek = normalizeDaysOfWeek(q.daysOfWeek);
-              const weeklyDays = daysOfWeek;
+              const schedule = normalizeSchedule(q);
               const unitDisplay = unitValue || (measurementType === "habit" ? "x" : measurementLabel(measurementType));
-              const sessionsPerWeek = sessionsPerWeekFromConsistency(frequency, weeklyDays);
+              const sessionsPerWeek = sessionsPerWeekForSchedule(schedule);
               const progressionPreview = buildQuestProgression({
                 sRankTarget: needsTarget ? Math.max(1, Number(q.sTargetValue) || 1) : 1,
                 startTarget: needsTarget ? Math.max(1, Number(q.currentTargetValue) || 1) : 1,
@@ -2389,12 +3496,16 @@ function QuestsPanel({
                         >
                           {q.name}
                         </div>
+                        {isQuestActive(q) ? null : <Pill tone="warn" isDark={isDark}>Paused</Pill>}
                       </div>
                       <div className={cx("mt-1 text-xs", textMuted)}>
                         Current target:{" "}
                         <span className={cx("font-bold", textSoft)}>
                           {q.measurementType === "habit" ? "Habit" : `${q.currentTargetValue} ${questUnitLabel(q)}`}
                         </span>
+                        {" • "}
+                        {describeSchedule(schedule)}
+                        {q.timeSlot ? ` • ${formatQuestSlot(q, settings)}` : null}
                       </div>
                       {isExpanded ? (
                         <div className={cx("mt-1 inline-flex items-center gap-2 text-xs", textMuted)}>
@@ -2413,6 +3524,16 @@ function QuestsPanel({
                       <Button variant="outline" onClick={() => toggleExpanded(q.id)} isDark={isDark}>
                         {isExpanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
                       </Button>
+                      <Button
+                        variant="outline"
+                        onClick={() => changeQuestLifecycle(q.id, isQuestActive(q) ? "paused" : "active")}
+                        isDark={isDark}
+                      >
+                        {isQuestActive(q) ? "Pause" : "Resume"}
+                      </Button>
+                      <Button variant="outline" onClick={() => changeQuestLifecycle(q.id, "archived")} isDark={isDark}>
+                        Archive
+                      </Button>
                       <Button variant="danger" onClick={() => deleteQuest(q.id)} isDark={isDark}>
                         Delete
                       </Button>
@@ -2700,96 +3821,37 @@ function QuestsPanel({
 
                       <div className={cx("rounded-2xl border p-3", isDark ? "border-zinc-800 bg-zinc-950/10" : "border-zinc-200 bg-white")}>
                         <div className="text-sm font-extrabold">Consistency</div>
-                        <div
-                          className={cx(
-                            "mt-2 inline-flex w-fit items-center gap-1 rounded-full border p-0.5 text-sm font-semibold",
-                            isDark ? "border-zinc-700 bg-zinc-900" : "border-zinc-200 bg-white"
-                          )}
-                        >
-                          {["daily", "weekly"].map((opt) => {
-                            const active = frequency === opt;
-                            return (
-                              <button
-                                key={opt}
-                                type="button"
-                                onClick={() =>
-                                  updateQuest(q.id, {
-                                    frequency: opt,
-                                    daysOfWeek: opt === "weekly" ? weeklyDays : defaultWeeklyDays(),
-                                  })
-                                }
-                                className={cx(
-                                  togglePillClass,
-                                  active
-                                    ? isDark
-                                      ? "bg-white text-zinc-900"
-                                      : "bg-zinc-900 text-white"
-                                    : isDark
-                                    ? "text-zinc-400"
-                                    : "text-zinc-600"
-                                )}
-                                style={
-                                  active
-                                    ? {
-                                        backgroundColor: isDark ? "#ffffff" : "#111827",
-                                        color: isDark ? "#111827" : "#ffffff",
-                                      }
-                                    : {
-                                        backgroundColor: "transparent",
-                                        color: isDark ? "#9CA3AF" : "#4B5563",
-                                      }
-                                }
-                                aria-pressed={active}
-                              >
-                                {opt === "daily" ? "Daily" : "Weekly"}
-                              </button>
-                            );
-                          })}
-                        </div>
-                        <div
-                          className={cx(
-                            "mt-3 transition-all overflow-hidden",
-                            frequency === "weekly" ? "opacity-100 max-h-20" : "opacity-0 max-h-0 pointer-events-none"
-                          )}
-                        >
-                          <div className="flex flex-wrap items-center justify-center gap-2">
-                            {WEEKDAY_LABELS.map((label, idx) => {
-                              const active = weeklyDays.includes(idx);
-                              return (
-                                <button
-                                  key={label}
-                                  type="button"
-                                  onClick={() => {
-                                    if (!active && frequency !== "weekly") return;
-                                    const next = active ? weeklyDays.filter((d) => d !== idx) : [...weeklyDays, idx];
-                                    const safeNext = next.length ? next : weeklyDays;
-                                    updateQuest(q.id, { daysOfWeek: safeNext });
-                                  }}
-                                  className={cx(
-                                    "rounded-full border px-2.5 py-1 text-[11px] font-semibold transition",
-                                    active
-                                      ? "text-zinc-900"
-                                      : isDark
-                                      ? "border-zinc-700 text-zinc-400"
-                                      : "border-zinc-200 text-zinc-600"
-                                  )}
-                                  style={{
-                                    borderColor: active ? domainStyle.color : isDark ? "#0F172A" : "#E5E7EB",
-                                    color: active ? domainStyle.color : isDark ? "#FFFFFF" : "#9CA3AF",
-                                    backgroundColor: active
-                                      ? rgba(domainStyle.color, isDark ? 0.2 : 0.12)
-                                      : isDark
-                                      ? "#374151"
-                                      : "#FFFFFF",
-                                  }}
-                                  aria-pressed={active}
-                                >
-                                  {label}
-                                </button>
-                              );
-                            })}
-                          </div>
-                        </div>
+                        <ScheduleEditor
+                          schedule={schedule}
+                          onChange={(patch) => {
+                            const nextSchedule = { ...schedule, ...patch };
+                            // A saved quest keeps its last valid schedule (e.g. the last weekday can't be unticked).
+                            if (validateSchedule(nextSchedule)) return;
+                            updateQuest(q.id, {
+                              ...patch,
+                              progression: buildQuestProgression({
+                                sRankTarget: q.progression?.sRankTarget ?? q.sTargetValue,
+                                startTarget: q.progression?.startTarget ?? q.currentTargetValue,
+                                startTargetWasAuto: q.progression?.startTargetWasAuto ?? false,
+                                sessionsPerWeek: sessionsPerWeekForSchedule(nextSchedule),
+                              }),
+                            });
+                          }}
+                          color={domainStyle.color}
+                          isDark={isDark}
+                          textMuted={textMuted}
+                        />
+                      </div>
+
+                      <div className={cx("rounded-2xl border p-3", isDark ? "border-zinc-800 bg-zinc-950/10" : "border-zinc-200 bg-white")}>
+                        <div className="text-sm font-extrabold">Time of Day</div>
+                        <TimeSlotEditor
+                          value={normalizeTimeSlot(q)}
+                          onChange={(patch) => updateQuest(q.id, patch)}
+                          settings={settings}
+                          isDark={isDark}
+                          textMuted={textMuted}
+                        />
                       </div>
 
                       <div className={cx("rounded-2xl border p-3", isDark ? "border-zinc-800 bg-zinc-950/10" : "border-zinc-200 bg-white")}>
@@ -2912,6 +3974,103 @@ function QuestsPanel({
                 </div>
               );
             })}
+
+            {archivedList.length ? (
+              <div className={cx("rounded-2xl border p-3", border)}>
+                <button
+                  type="button"
+                  onClick={() => setArchiveOpen((v) => !v)}
+                  className="flex w-full items-center justify-between gap-2 text-left"
+                >
+                  <div>
+                    <div className="text-sm font-extrabold">Archived ({archivedList.length})</div>
+                    <div className={cx("text-xs", textMuted)}>Off the schedule; history and XP are kept.</div>
+                  </div>
+                  {archiveOpen ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                </button>
+                {archiveOpen ? (
+                  <div className="mt-3 space-y-2">
+                    {archivedList.map((q) => {
+                      const domain = normalizeDomain(q.domain || q.category);
+                      const domainStyle = getDomainStyle(domain, isDark);
+                      return (
+                        <div key={q.id} className={cx("flex items-center justify-between gap-2 rounded-xl border p-3", border)}>
+                          <div className="min-w-0">
+                            <div className="flex flex-wrap items-center gap-2">
+                              <span
+                                className="text-xs font-semibold uppercase tracking-[0.12em]"
+                                style={{ color: domainStyle.color }}
+                              >
+                                {categoryLabel(domain)}
+                              </span>
+                              <span className="truncate text-sm font-extrabold">{q.name}</span>
+                            </div>
+                            <div className={cx("mt-1 text-xs", textMuted)}>
+                              {q.xp || 0} XP
+                              {q.lifecycleChangedAt ? ` • archived ${new Date(q.lifecycleChangedAt).toLocaleDateString()}` : ""}
+                            </div>
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <Button variant="outline" onClick={() => changeQuestLifecycle(q.id, "active")} isDark={isDark}>
+                              Restore
+                            </Button>
+                            <Button variant="danger" onClick={() => deleteQuest(q.id)} isDark={isDark}>
+                              Delete
+                            </Button>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ) : null}
+              </div>
+            ) : null}
+
+            {deletedList.length ? (
+              <div className={cx("rounded-2xl border p-3", border)}>
+                <button
+                  type="button"
+                  onClick={() => setDeletedOpen((v) => !v)}
+                  className="flex w-full items-center justify-between gap-2 text-left"
+                >
+                  <div>
+                    <div className="text-sm font-extrabold">Deleted ({deletedList.length})</div>
+                    <div className={cx("text-xs", textMuted)}>Hidden everywhere; restoring brings back their XP and history.</div>
+                  </div>
+                  {deletedOpen ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                </button>
+                {deletedOpen ? (
+                  <div className="mt-3 space-y-2">
+                    {deletedList.map((q) => {
+                      const domain = normalizeDomain(q.domain || q.category);
+                      const domainStyle = getDomainStyle(domain, isDark);
+                      return (
+                        <div key={q.id} className={cx("flex items-center justify-between gap-2 rounded-xl border p-3", border)}>
+                          <div className="min-w-0">
+                            <div className="flex flex-wrap items-center gap-2">
+                              <span
+                                className="text-xs font-semibold uppercase tracking-[0.12em]"
+                                style={{ color: domainStyle.color }}
+                              >
+                                {categoryLabel(domain)}
+                              </span>
+                              <span className="truncate text-sm font-extrabold">{q.name}</span>
+                            </div>
+                            <div className={cx("mt-1 text-xs", textMuted)}>
+                              {q.xp || 0} XP
+                              {q.lifecycleChangedAt ? ` • deleted ${new Date(q.lifecycleChangedAt).toLocaleDateString()}` : ""}
+                            </div>
+                          </div>
+                          <Button variant="outline" onClick={() => changeQuestLifecycle(q.id, "active")} isDark={isDark}>
+                            Restore
+                          </Button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ) : null}
+              </div>
+            ) : null}
           </div>
         </div>
       </Modal>
@@ -3142,89 +4301,24 @@ function QuestsPanel({
 
           <div className={cx("rounded-2xl border p-3", isDark ? "border-zinc-800 bg-zinc-950/10" : "border-zinc-200 bg-white")}>
             <div className="text-sm font-extrabold">Consistency</div>
-            <div
-              className={cx(
-                "mt-2 inline-flex w-fit items-center gap-1 rounded-full border p-0.5 text-sm font-semibold",
-                isDark ? "border-zinc-700 bg-zinc-900" : "border-zinc-200 bg-white"
-              )}
-            >
-              {["daily", "weekly"].map((opt) => {
-                const active = newFrequency === opt;
-                return (
-                  <button
-                    key={opt}
-                    type="button"
-                    onClick={() => {
-                      setNewFrequency(opt);
-                      if (opt === "daily") setNewDaysOfWeek([]);
-                    }}
-                    className={cx(
-                      togglePillClass,
-                      active
-                        ? isDark
-                          ? "bg-white text-zinc-900"
-                          : "bg-zinc-900 text-white"
-                        : isDark
-                        ? "text-zinc-400"
-                        : "text-zinc-600"
-                    )}
-                    style={
-                      active
-                        ? {
-                            backgroundColor: isDark ? "#ffffff" : "#111827",
-                            color: isDark ? "#111827" : "#ffffff",
-                          }
-                        : {
-                            backgroundColor: "transparent",
-                            color: isDark ? "#9CA3AF" : "#4B5563",
-                          }
-                    }
-                    aria-pressed={active}
-                  >
-                    {opt === "daily" ? "Daily" : "Weekly"}
-                  </button>
-                );
-              })}
-            </div>
-            <div
-              className={cx(
-                "mt-3 transition-all overflow-hidden",
-                newFrequency === "weekly" ? "opacity-100 max-h-20" : "opacity-0 max-h-0 pointer-events-none"
-              )}
-            >
-              <div className="flex flex-wrap items-center justify-center gap-2">
-                {WEEKDAY_LABELS.map((label, idx) => {
-                  const active = newDaysOfWeek.includes(idx);
-                  const color = DOMAIN_COLORS[newDomain] || "#94A3B8";
-                  return (
-                    <button
-                      key={label}
-                      type="button"
-                      onClick={() => {
-                        const next = active ? newDaysOfWeek.filter((d) => d !== idx) : [...newDaysOfWeek, idx];
-                        setNewDaysOfWeek(next);
-                      }}
-                      className={cx(
-                        "rounded-full border px-2.5 py-1 text-[11px] font-semibold transition",
-                        active
-                          ? "text-zinc-900"
-                          : isDark
-                          ? "border-zinc-700 text-zinc-400"
-                          : "border-zinc-200 text-zinc-600"
-                      )}
-                      style={{
-                        borderColor: active ? color : isDark ? "#0F172A" : "#E5E7EB",
-                        color: active ? color : isDark ? "#FFFFFF" : "#9CA3AF",
-                        backgroundColor: active ? rgba(color, isDark ? 0.2 : 0.12) : isDark ? "#374151" : "#FFFFFF",
-                      }}
-                      aria-pressed={active}
-                    >
-                      {label}
-                    </button>
-                  );
-                })}
-              </div>
-            </div>
+            <ScheduleEditor
+              schedule={newSchedule}
+              onChange={(patch) => setNewSchedule((prev) => ({ ...prev, ...patch }))}
+              color={DOMAIN_COLORS[newDomain] || "#94A3B8"}
+              isDark={isDark}
+              textMuted={textMuted}
+            />
+          </div>
+
+          <div className={cx("rounded-2xl border p-3", isDark ? "border-zinc-800 bg-zinc-950/10" : "border-zinc-200 bg-white")}>
+            <div className="text-sm font-extrabold">Time of Day</div>
+            <TimeSlotEditor
+              value={newTimeSlot}
+              onChange={(patch) => setNewTimeSlot((prev) => ({ ...prev, ...patch }))}
+              settings={settings}
+              isDark={isDark}
+              textMuted={textMuted}
+            />
           </div>
 
           <div className={cx("rounded-2xl border p-3", isDark ? "border-zinc-800 bg-zinc-950/10" : "border-zinc-200 bg-white")}>
@@ -3396,8 +4490,7 @@ function QuestsPanel({
                   name: trimmedName,
                   priority: newPriority,
                   unit: trimmedUnit,
-                  frequency: newFrequency,
-                  daysOfWeek: newDaysOfWeek,
+                  ...newSchedule,
                   sRankTarget: goalValue,
                   startTarget: newStartOverrideValue,
                 };
@@ -3408,7 +4501,7 @@ function QuestsPanel({
                 }
                 try {
                   setCreateError("");
-                  const sessionsPerWeek = sessionsPerWeekFromConsistency(newFrequency, newDaysOfWeek);
+                  const sessionsPerWeek = sessionsPerWeekForSchedule(newSchedule);
                   const finalGoal = hasGoal ? goalValue : 1;
                   const safeStartTarget =
                     newStartOverrideActive && Number.isFinite(newStartOverrideValue) && newStartOverrideValue > 0
@@ -3430,8 +4523,8 @@ function QuestsPanel({
                     currentTargetValue: progression.startTarget,
                     sTargetValue: progression.sRankTarget,
                     startTargetWasAuto: progression.startTargetWasAuto,
-                    frequency: newFrequency,
-                    daysOfWeek: newFrequency === "weekly" ? newDaysOfWeek : defaultWeeklyDays(),
+                    ...newSchedule,
+                    ...newTimeSlot,
                   };
                   console.log("payload", payload);
                   const createdId = addQuest(payload);
@@ -3765,31 +4858,441 @@ function StatsPanel({
   textMuted,
 }) {
   return (
-    <ProgressDashboard
-      dateKey={dateKey}
-      state={state}
-      stats={stats}
-      overallRank={overallRank}
-      overallLevel={overallLevel}
-      streakDays={streakDays}
-      overallProgressPctDisplay={overallProgressPctDisplay}
-      isDark={isDark}
-      border={border}
-      surface={surface}
-      textMuted={textMuted}
-    />
+    <div className="space-y-4">
+      <ProgressDashboard
+        dateKey={dateKey}
+        state={state}
+        stats={stats}
+        overallRank={overallRank}
+        overallLevel={overallLevel}
+        streakDays={streakDays}
+        overallProgressPctDisplay={overallProgressPctDisplay}
+        isDark={isDark}
+        border={border}
+        surface={surface}
+        textMuted={textMuted}
+      />
+      <HistoryExportCard state={state} isDark={isDark} border={border} surface={surface} textMuted={textMuted} />
+    </div>
+  );
+}
+
+function HistoryExportCard({ state, isDark, border, surface, textMuted }) {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [domains, setDomains] = useState(() => DOMAIN_OPTIONS.map((d) => d.id));
+  const filters = { from, to, domains };
+  const completionCount = completionRows(state, filters).length;
+  const inputCls = cx(
+    "mt-1 w-full rounded-xl border px-3 py-2 text-sm",
+    isDark ? "border-zinc-700 bg-zinc-900 text-zinc-100" : "border-zinc-200 bg-white text-zinc-900"
+  );
+  const suffix = [from, to].filter(Boolean).join("_to_");
+
+  return (
+    <Card className="p-4" border={border} surface={surface}>
+      <div className="text-lg font-extrabold">Export History</div>
+      <div className={cx("mt-1 text-sm", textMuted)}>Download your completion log as CSV for spreadsheets.</div>
+      <div className="mt-4 grid grid-cols-1 gap-3 md:grid-cols-2">
+        <label className="text-xs font-semibold">
+          From
+          <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} className={inputCls} />
+        </label>
+        <label className="text-xs font-semibold">
+          To
+          <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} className={inputCls} />
+        </label>
+      </div>
+      <div className="mt-3 flex flex-wrap gap-3">
+        {DOMAIN_OPTIONS.map((domain) => (
+          <label key={domain.id} className="inline-flex items-center gap-2 text-sm font-semibold">
+            <input
+              type="checkbox"
+              checked={domains.includes(domain.id)}
+              onChange={(e) =>
+                setDomains((prev) => (e.target.checked ? [...prev, domain.id] : prev.filter((id) => id !== domain.id)))
+              }
+              className="h-4 w-4"
+            />
+            <span style={{ color: getDomainColor(domain.id) }}>{domain.label}</span>
+          </label>
+        ))}
+      </div>
+      <div className="mt-4 flex flex-wrap gap-2">
+        <Button
+          onClick={() =>
+            downloadTextFile(
+              `lvlup-completions${suffix ? `-${suffix}` : ""}.csv`,
+              toCsv(COMPLETION_COLUMNS, completionRows(state, filters)),
+              "text/csv"
+            )
+          }
+          disabled={!completionCount}
+          isDark={isDark}
+        >
+          Completions CSV ({completionCount})
+        </Button>
+        <Button
+          onClick={() =>
+            downloadTextFile(`lvlup-xp-by-day${suffix ? `-${suffix}` : ""}.csv`, toCsv(XP_BY_DAY_COLUMNS, xpByDayRows(state, filters)), "text/csv")
+          }
+          variant="outline"
+          isDark={isDark}
+        >
+          XP by day CSV
+        </Button>
+      </div>
+      <div className={cx("mt-2 text-xs", textMuted)}>XP by day covers all domains; only the date range applies.</div>
+    </Card>
+  );
+}
+
+const STORAGE_BACKEND_LABELS = {
+  tauriFile: "a file in the app data folder",
+  indexedDB: "IndexedDB",
+  localStorage: "browser localStorage",
+  memory: "memory only (nothing is saved)",
+};
+
+function ImportPreviewList({ preview, textMuted }) {
+  const rows = [
+    ["Quests added", preview.questsAdded],
+    ["Quests removed", preview.questsRemoved],
+    ["Days added", preview.daysAdded],
+    ["Days changed", preview.daysChanged],
+    ["Days removed", preview.daysRemoved],
+    ["Total XP", `${preview.totalXPBefore} → ${preview.totalXPAfter}`],
+  ];
+  return (
+    <div className="mt-2 space-y-1 text-xs">
+      {rows.map(([label, value]) => (
+        <div key={label} className="flex items-center justify-between">
+          <span className={textMuted}>{label}</span>
+          <span className="font-semibold">{value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function DebtPolicySettings({ settings, setState, isDark, border, textMuted }) {
+  const policy = debtPolicyFromSettings(settings);
+  const inputCls = cx("mt-1 w-full rounded-xl border p-2 text-sm", isDark ? "border-zinc-800 bg-zinc-950/10" : "border-zinc-200 bg-white");
+
+  function set(patch) {
+    setState((p) => ({ ...p, settings: { ...p.settings, ...patch } }));
+  }
+
+  function numberField(key, label, hint) {
+    return (
+      <div>
+        <div className={cx("text-xs font-semibold", textMuted)}>{label}</div>
+        <input type="number" min={0} value={policy[key]} onChange={(e) => set({ [key]: Math.max(0, Number(e.target.value) || 0) })} className={inputCls} />
+        {hint ? <div className={cx("mt-1 text-[11px]", textMuted)}>{hint}</div> : null}
+      </div>
+    );
+  }
+
+  return (
+    <div className={cx("rounded-xl border p-3", border)}>
+      <div className="text-xs font-semibold">Debt rules</div>
+      <div className="mt-2 flex gap-2">
+        {Object.entries(DEBT_MODES).map(([mode, { label }]) => (
+          <Button key={mode} variant={policy.debtMode === mode ? "default" : "outline"} onClick={() => set({ debtMode: mode })} isDark={isDark}>
+            {label}
+          </Button>
+        ))}
+      </div>
+      <div className={cx("mt-1 text-[11px]", textMuted)}>{DEBT_MODES[policy.debtMode].description}</div>
+      <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
+        {policy.debtMode === "scaled"
+          ? numberField("debtQuestPct", "% of quest XP per miss")
+          : numberField("debtFlatXP", "XP per unfinished day")}
+        {numberField("debtInterestPct", "Interest % per missed day in a row")}
+        {numberField("debtMaxXP", "Max debt per day", "0 means no limit.")}
+      </div>
+      <div className="mt-3 flex items-center justify-between gap-3">
+        <div>
+          <div className="text-xs font-semibold">Partial days</div>
+          <div className={cx("mt-1 text-[11px]", textMuted)}>Only charge for the quests you missed, not the whole day.</div>
+        </div>
+        <label className="inline-flex cursor-pointer items-center gap-2">
+          <input type="checkbox" checked={policy.debtPartialDays} onChange={(e) => set({ debtPartialDays: e.target.checked })} className="h-4 w-4" />
+          <span className="text-sm font-semibold">{policy.debtPartialDays ? "On" : "Off"}</span>
+        </label>
+      </div>
+    </div>
+  );
+}
+
+function SyncSettingsSection({ syncConfig, syncStatus, onSave, onSyncNow, isDark, border, textMuted }) {
+  const [draft, setDraft] = useState(() => ({
+    enabled: syncConfig.enabled,
+    endpoint: syncConfig.endpoint,
+    space: syncConfig.space,
+    token: syncConfig.token,
+  }));
+  const [formError, setFormError] = useState("");
+  const [saved, setSaved] = useState(false);
+  const inputCls = cx(
+    "mt-1 w-full rounded-xl border p-2 text-sm font-normal",
+    isDark ? "border-zinc-800 bg-zinc-950/10" : "border-zinc-200 bg-white"
+  );
+  const update = (patch) => {
+    setDraft((d) => ({ ...d, ...patch }));
+    setSaved(false);
+  };
+  const error = formError || syncStatus.error;
+
+  return (
+    <div className={cx("rounded-2xl border p-4", border)}>
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-sm font-extrabold">Sync</div>
+          <div className={cx("mt-1 text-xs", textMuted)}>
+            Keep devices in step through your own sync server (run <span className="font-mono">npm run sync-server</span>).
+          </div>
+        </div>
+        <label className="inline-flex cursor-pointer items-center gap-2">
+          <input type="checkbox" checked={draft.enabled} onChange={(e) => update({ enabled: e.target.checked })} className="h-4 w-4" />
+          <span className="text-sm font-semibold">{draft.enabled ? "On" : "Off"}</span>
+        </label>
+      </div>
+      <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
+        <label className="text-xs font-semibold md:col-span-2">
+          Server URL
+          <input
+            type="url"
+            value={draft.endpoint}
+            placeholder="http://192.168.1.10:8787"
+            onChange={(e) => update({ endpoint: e.target.value })}
+            className={inputCls}
+          />
+        </label>
+        <label className="text-xs font-semibold">
+          Sync space
+          <input type="text" value={draft.space} placeholder="my-devices" onChange={(e) => update({ space: e.target.value })} className={inputCls} />
+        </label>
+        <label className="text-xs font-semibold">
+          Access token (optional)
+          <input type="password" value={draft.token} onChange={(e) => update({ token: e.target.value })} className={inputCls} />
+        </label>
+      </div>
+      <div className={cx("mt-2 text-xs", textMuted)}>Use the same server and space on every device you want to keep together.</div>
+      <div className="mt-3 flex flex-wrap gap-2">
+        <Button
+          onClick={() => {
+            const message = onSave(draft);
+            setFormError(message || "");
+            setSaved(!message);
+          }}
+          isDark={isDark}
+        >
+          {saved ? "Saved" : "Save"}
+        </Button>
+        <Button
+          onClick={() => {
+            setFormError("");
+            onSyncNow(draft);
+          }}
+          disabled={syncStatus.phase === "syncing"}
+          variant="outline"
+          isDark={isDark}
+        >
+          {syncStatus.phase === "syncing" ? "Syncing…" : "Sync now"}
+        </Button>
+      </div>
+      <div className={cx("mt-2 text-xs", textMuted)}>
+        {syncConfig.lastSyncedAt ? `Last synced ${new Date(syncConfig.lastSyncedAt).toLocaleString()}.` : "Not synced yet."}
+        {syncConfig.enabled ? " Syncs automatically every few minutes." : ""}
+      </div>
+      {error ? <div className={cx("mt-2 text-xs", isDark ? "text-red-300" : "text-red-700")}>{error}</div> : null}
+    </div>
+  );
+}
+
+const REMINDER_LEAD_OPTIONS = {
+  bedtimeMinutes: { label: "Before bedtime, if quests are open", unit: "min", values: [0, 15, 30, 60, 120] },
+  timerMinutes: { label: "Before a quest timer runs out", unit: "min", values: [0, 2, 5, 10] },
+  challengeHours: { label: "Before the weekly challenge expires", unit: "h", values: [0, 6, 12, 24, 48] },
+};
+
+function NotificationSettingsSection({ config, onSave, isDark, border, textMuted }) {
+  const [permission, setPermission] = useState("default");
+  const [error, setError] = useState("");
+  const [testResult, setTestResult] = useState("");
+  const inputCls = cx("mt-1 w-full rounded-xl border p-2 text-sm font-normal", isDark ? "border-zinc-800 bg-zinc-950/10" : "border-zinc-200 bg-white");
+
+  useEffect(() => {
+    let live = true;
+    notificationPermission().then((value) => {
+      if (live) setPermission(value);
+    });
+    return () => {
+      live = false;
+    };
+  }, [config.enabled]);
+
+  async function save(patch) {
+    const message = await onSave(patch);
+    setError(message || "");
+    setPermission(await notificationPermission());
+  }
+
+  return (
+    <div className={cx("rounded-2xl border p-4", border)}>
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-sm font-extrabold">Notifications</div>
+          <div className={cx("mt-1 text-xs", textMuted)}>
+            Reminders on this device while the app is open or running in the background.
+          </div>
+        </div>
+        <label className="inline-flex cursor-pointer items-center gap-2">
+          <input type="checkbox" checked={config.enabled} onChange={(e) => save({ enabled: e.target.checked })} className="h-4 w-4" />
+          <span className="text-sm font-semibold">{config.enabled ? "On" : "Off"}</span>
+        </label>
+      </div>
+      {config.enabled ? (
+        <>
+          <div className="mt-3 flex items-center justify-between gap-3">
+            <div className="text-xs font-semibold">When a quest’s time slot starts</div>
+            <label className="inline-flex cursor-pointer items-center gap-2">
+              <input type="checkbox" checked={config.slots} onChange={(e) => save({ slots: e.target.checked })} className="h-4 w-4" />
+              <span className="text-sm font-semibold">{config.slots ? "On" : "Off"}</span>
+            </label>
+          </div>
+          <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-3">
+            {Object.entries(REMINDER_LEAD_OPTIONS).map(([key, { label, unit, values }]) => (
+              <label key={key} className="text-xs font-semibold">
+                {label}
+                <select value={config[key]} onChange={(e) => save({ [key]: Number(e.target.value) })} className={inputCls}>
+                  {values.map((value) => (
+                    <option key={value} value={value}>
+                      {value ? `${value} ${unit}` : "Off"}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          <div className="mt-3 flex flex-wrap items-center gap-2">
+            <Button
+              variant="outline"
+              onClick={async () => {
+                const shown = await showNotification({ title: "Level Up", body: "Reminders are working." });
+                setTestResult(shown ? "Test notification sent." : "The test notification couldn’t be shown.");
+              }}
+              isDark={isDark}
+            >
+              Send test
+            </Button>
+            {testResult ? <span className={cx("text-xs", textMuted)}>{testResult}</span> : null}
+          </div>
+        </>
+      ) : null}
+      {config.enabled && permission !== "granted" ? (
+        <div className={cx("mt-2 text-xs", isDark ? "text-amber-300" : "text-amber-700")}>
+          Notification permission is {permission === "unsupported" ? "not available here" : permission}; reminders won’t show.
+        </div>
+      ) : null}
+      {error ? <div className={cx("mt-2 text-xs", isDark ? "text-red-300" : "text-red-700")}>{error}</div> : null}
+    </div>
+  );
+}
+
+const INTEGRITY_TONES = { error: "bad", warn: "warn", info: "neutral" };
+
+function DiagnosticsSection({ onCheck, onRepair, isDark, border, textMuted }) {
+  const [issues, setIssues] = useState(null);
+  const [repaired, setRepaired] = useState(false);
+  const repairable = (issues || []).filter((issue) => issue.repairable);
+
+  return (
+    <div className={cx("rounded-2xl border p-4", border)}>
+      <div className="text-sm font-extrabold">Diagnostics</div>
+      <div className={cx("mt-1 text-xs", textMuted)}>
+        Cross-check quest XP, total XP, the XP chart and each day’s activity log.
+      </div>
+      <div className="mt-3 flex flex-wrap gap-2">
+        <Button
+          onClick={() => {
+            setIssues(onCheck());
+            setRepaired(false);
+          }}
+          variant="outline"
+          isDark={isDark}
+        >
+          Run check
+        </Button>
+        {repairable.length ? (
+          <Button
+            onClick={() => {
+              setIssues(onRepair());
+              setRepaired(true);
+            }}
+            isDark={isDark}
+          >
+            Repair {repairable.length} issue{repairable.length === 1 ? "" : "s"}
+          </Button>
+        ) : null}
+      </div>
+      {issues ? (
+        <div className="mt-3 space-y-2">
+          {repaired ? <div className={cx("text-xs", textMuted)}>Derived totals rebuilt from the day history.</div> : null}
+          {issues.length ? (
+            issues.map((issue) => (
+              <div key={issue.id} className={cx("rounded-xl border p-3", border)}>
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-xs font-bold">{issue.title}</div>
+                  <Pill tone={INTEGRITY_TONES[issue.severity]} isDark={isDark}>
+                    {issue.repairable ? "Repairable" : "Info"}
+                  </Pill>
+                </div>
+                <div className={cx("mt-1 text-xs", textMuted)}>{issue.detail}</div>
+              </div>
+            ))
+          ) : (
+            <div className={cx("text-xs", textMuted)}>Everything adds up.</div>
+          )}
+        </div>
+      ) : null}
+    </div>
   );
 }
 
-function SettingsPanel({ settings, isDark, border, surface, textMuted, requestReset, setWeeklyBossEnabled, setState }) {
+function SettingsPanel({
+  settings,
+  isDark,
+  border,
+  surface,
+  textMuted,
+  requestReset,
+  setWeeklyBossEnabled,
+  setState,
+  onExportSave,
+  onPrepareImport,
+  onApplyImport,
+  syncConfig,
+  syncStatus,
+  onSaveSyncConfig,
+  notificationConfig,
+  onSaveNotificationConfig,
+  onSyncNow,
+  onCheckIntegrity,
+  onRepairIntegrity,
+}) {
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importError, setImportError] = useState("");
   const totalWindowMinutes = dayWindowMinutes(settings.wakeTime, settings.bedTime);
   const totalWindowLabel = formatDuration(totalWindowMinutes);
+  const storage = storageStatus();
 
   return (
     <div className="grid grid-cols-1 gap-4 lg:grid-cols-3">
       <Card className="p-4 lg:col-span-2" border={border} surface={surface}>
         <div className="text-lg font-extrabold">Settings</div>
-        <div className={cx("mt-1 text-sm", textMuted)}>This MVP is offline-first using LocalStorage.</div>
+        <div className={cx("mt-1 text-sm", textMuted)}>This MVP is offline-first; your data stays on this device unless you turn on sync.</div>
 
         <div className="mt-5 space-y-4">
           <div className={cx("rounded-2xl border p-4", border)}>
@@ -3841,7 +5344,7 @@ function SettingsPanel({ settings, isDark, border, surface, textMuted, requestRe
             <div className="flex items-center justify-between">
               <div>
                 <div className="text-sm font-extrabold">Hardcore Mode</div>
-                <div className={cx("mt-1 text-xs", textMuted)}>Increases stakes (you can expand this later).</div>
+                <div className={cx("mt-1 text-xs", textMuted)}>Increases stakes with a stricter ruleset.</div>
               </div>
               <label className="inline-flex cursor-pointer items-center gap-2">
                 <input
@@ -3858,6 +5361,14 @@ function SettingsPanel({ settings, isDark, border, surface, textMuted, requestRe
                 <span className="text-sm font-semibold">{settings.hardcore ? "On" : "Off"}</span>
               </label>
             </div>
+            <div className="mt-3 space-y-2">
+              {HARDCORE_RULES.map((rule) => (
+                <div key={rule.id} className={cx("rounded-xl border p-3", border, settings.hardcore ? "" : "opacity-60")}>
+                  <div className="text-xs font-bold">{rule.label}</div>
+                  <div className={cx("mt-1 text-xs", textMuted)}>{rule.description}</div>
+                </div>
+              ))}
+            </div>
           </div>
 
           <div className={cx("rounded-2xl border p-4", border)}>
@@ -3947,6 +5458,8 @@ function SettingsPanel({ settings, isDark, border, surface, textMuted, requestRe
                   </label>
                 </div>
 
+                <DebtPolicySettings settings={settings} setState={setState} isDark={isDark} border={border} textMuted={textMuted} />
+
                 <div className={cx("rounded-xl border p-3", border)}>
                   <div className="flex items-center justify-between gap-3">
                     <div>
@@ -4051,6 +5564,121 @@ function SettingsPanel({ settings, isDark, border, surface, textMuted, requestRe
             </div>
           </div>
 
+          <div className={cx("rounded-2xl border p-4", border)}>
+            <div className="text-sm font-extrabold">Storage</div>
+            <div className={cx("mt-1 text-xs", textMuted)}>
+              Saving to <span className="font-semibold">{STORAGE_BACKEND_LABELS[storage.backend] || storage.backend}</span>.
+            </div>
+            {storage.degraded === "photo" ? (
+              <div className={cx("mt-2 text-xs", isDark ? "text-amber-300" : "text-amber-700")}>
+                Browser storage is full — your profile photo is kept for this session only.
+              </div>
+            ) : null}
+            {storage.error ? (
+              <div className={cx("mt-2 text-xs", isDark ? "text-red-300" : "text-red-700")}>
+                Changes aren’t being saved: {storage.error}
+              </div>
+            ) : null}
+          </div>
+
+          <SyncSettingsSection
+            syncConfig={syncConfig}
+            syncStatus={syncStatus}
+            onSave={onSaveSyncConfig}
+            onSyncNow={onSyncNow}
+            isDark={isDark}
+            border={border}
+            textMuted={textMuted}
+          />
+
+          <NotificationSettingsSection
+            config={notificationConfig}
+            onSave={onSaveNotificationConfig}
+            isDark={isDark}
+            border={border}
+            textMuted={textMuted}
+          />
+
+          <div className={cx("rounded-2xl border p-4", border)}>
+            <div className="text-sm font-extrabold">Backup</div>
+            <div className={cx("mt-1 text-xs", textMuted)}>
+              Export your full save as a JSON file, or import one from another device.
+            </div>
+            <div className="mt-3 flex flex-wrap gap-2">
+              <Button onClick={onExportSave} variant="outline" isDark={isDark}>
+                Export save
+              </Button>
+              <label
+                className={cx(
+                  "inline-flex cursor-pointer items-center justify-center rounded-xl border px-3 py-2 text-sm font-medium",
+                  isDark ? "border-zinc-700 bg-zinc-900 hover:bg-zinc-800" : "border-zinc-200 bg-white hover:bg-zinc-50"
+                )}
+              >
+                Import save
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  className="hidden"
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    e.target.value = "";
+                    if (!file) return;
+                    file
+                      .text()
+                      .then((text) => {
+                        const result = onPrepareImport(text);
+                        setImportError(result.error || "");
+                        setPendingImport(result.error ? null : result);
+                      })
+                      .catch((error) => {
+                        setImportError(`Couldn't read the save file: ${error?.message || error}`);
+                        setPendingImport(null);
+                      });
+                  }}
+                />
+              </label>
+            </div>
+            {importError ? (
+              <div className={cx("mt-2 text-xs", isDark ? "text-red-300" : "text-red-700")}>{importError}</div>
+            ) : null}
+            {pendingImport ? (
+              <div className={cx("mt-3 rounded-xl border p-3", border)}>
+                <div className="text-xs font-bold">
+                  Save from {pendingImport.save.exportedAt ? new Date(pendingImport.save.exportedAt).toLocaleString() : "an unknown date"}
+                </div>
+                <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
+                  <div className={cx("rounded-xl border p-3", border)}>
+                    <div className="text-sm font-extrabold">Merge</div>
+                    <div className={cx("mt-1 text-xs", textMuted)}>Keep this device’s settings and add the file’s quests and history.</div>
+                    <ImportPreviewList preview={pendingImport.previews.merge} textMuted={textMuted} />
+                    <Button onClick={() => onApplyImport(pendingImport, "merge")} isDark={isDark} className="mt-3 w-full">
+                      Merge
+                    </Button>
+                  </div>
+                  <div className={cx("rounded-xl border p-3", border)}>
+                    <div className="text-sm font-extrabold">Replace</div>
+                    <div className={cx("mt-1 text-xs", textMuted)}>Discard this device’s save and use the file as-is.</div>
+                    <ImportPreviewList preview={pendingImport.previews.replace} textMuted={textMuted} />
+                    <Button onClick={() => onApplyImport(pendingImport, "replace")} variant="danger" isDark={isDark} className="mt-3 w-full">
+                      Replace
+                    </Button>
+                  </div>
+                </div>
+                <Button onClick={() => setPendingImport(null)} variant="ghost" isDark={isDark} className="mt-2 w-full">
+                  Cancel
+                </Button>
+              </div>
+            ) : null}
+          </div>
+
+          <DiagnosticsSection
+            onCheck={onCheckIntegrity}
+            onRepair={onRepairIntegrity}
+            isDark={isDark}
+            border={border}
+            textMuted={textMuted}
+          />
+
           <div className={cx("rounded-2xl border p-4", border)}>
             <div className="text-sm font-extrabold">Danger Zone</div>
             <div className={cx("mt-2 text-xs", textMuted)}>Reset wipes your progress and quests.</div>
@@ -4070,7 +5698,6 @@ function SettingsPanel({ settings, isDark, border, surface, textMuted, requestRe
           <li>Quest Modifiers (+XP) + time tracking</li>
           <li>AI difficulty coach (rule-based first, then LLM)</li>
           <li>Skill Trees (Fitness + Coding + Study)</li>
-          <li>Notifications + daily reset logic</li>
           <li>SQLite persistence (better than LocalStorage)</li>
         </ol>
       </Card>
@@ -4078,84 +5705,123 @@ function SettingsPanel({ settings, isDark, border, surface, textMuted, requestRe
   );
 }
 
+// The raid for the week starting at `weekKey`, drawn from the quests that come
+// up that week and scaled by the overall rank.
+function weeklyBossRaid(quests, weekKey) {
+  const weekEndKey = fmtDateKey(addDays(new Date(`${weekKey}T00:00:00`), 6));
+  const active = quests.filter((q) => isQuestActive(q) && isScheduledInRange(q, weekKey, weekEndKey));
+  const listed = quests.filter(isQuestListed);
+  const pct = listed.length ? listed.reduce((acc, q) => acc + progressPct(q.currentTargetValue, q.sTargetValue), 0) / listed.length : 0;
+  return buildBossRaid({ quests: active, weekKey, overallRank: rankFromProgressPct(pct) });
+}
+
+// Normalizes a saved game (from storage or an imported save file) into the
+// current state shape.
+function hydrateSavedState(savedRaw) {
+  const key = fmtDateKey(today());
+  const saved = migrateSavedState(savedRaw) || savedRaw;
+  if (saved && typeof saved === "object") {
+    const normalizedQuests = (saved.quests || DEFAULT_QUESTS).map((q) => normalizeQuest(q));
+    // Older saves kept boss raids on `YYYY-MM-DD_boss` pseudo-days.
+    const { days: savedDays, bossRaids } = extractBossRaids(saved.days, normalizeBossRaids(saved.bossRaids));
+    const xpFromDays = {};
+    for (const entry of Object.values(savedDays)) {
+      if (!entry?.completed) continue;
+      for (const [questId, info] of Object.entries(entry.completed)) {
+        if (typeof info?.xp !== "number") continue;
+        xpFromDays[questId] = (xpFromDays[questId] || 0) + info.xp;
+      }
+    }
+    const quests = normalizedQuests.map((q) => {
+      const xpCandidate = q.xp ? q.xp : xpFromDays[q.id] || 0;
+      return { ...q, xp: Math.min(xpCandidate, questXpCap(q)) };
+    });
+    const savedSettings = saved.settings || {};
+    const themeMode = savedSettings.themeMode || savedSettings.theme || DEFAULT_SETTINGS.themeMode;
+    const xpDebtEnabled =
+      typeof savedSettings.xpDebtEnabled === "boolean"
+        ? savedSettings.xpDebtEnabled
+        : savedSettings.penaltyMode === "xp_debt"
+        ? true
+        : DEFAULT_SETTINGS.xpDebtEnabled;
+    const blockAfterBedtime =
+      typeof savedSettings.blockAfterBedtime === "boolean"
+        ? savedSettings.blockAfterBedtime
+        : xpDebtEnabled
+        ? true
+        : DEFAULT_SETTINGS.blockAfterBedtime;
+    const noPhonePenaltyMinutes =
+      typeof savedSettings.noPhonePenaltyMinutes === "number"
+        ? savedSettings.noPhonePenaltyMinutes
+        : DEFAULT_SETTINGS.noPhonePenaltyMinutes;
+    const noPhonePenaltyEnabled =
+      typeof savedSettings.noPhonePenaltyEnabled === "boolean"
+        ? savedSettings.noPhonePenaltyEnabled
+        : DEFAULT_SETTINGS.noPhonePenaltyEnabled;
+    const days =
+      Object.keys(savedDays).length
+        ? savedDays
+        : { [key]: { completed: {}, earnedXP: 0, xpDebt: 0, note: "", debtApplied: false } };
+    const xpByDay = saved.xpByDay
+      ? { ...saved.xpByDay }
+      : Object.fromEntries(Object.entries(days).map(([dayKey, entry]) => [dayKey, Number(entry?.earnedXP || 0)]));
+    // totalXP is always the sum of the day history, never stored independently.
+    return deriveXpTotals({
+      quests,
+      settings: {
+        ...DEFAULT_SETTINGS,
+        ...savedSettings,
+        themeMode,
+        xpDebtEnabled,
+        blockAfterBedtime,
+        noPhonePenaltyEnabled,
+        noPhonePenaltyMinutes,
+      },
+      days,
+      lastActiveDate: saved.lastActiveDate || key,
+      cooldownUntil: saved.cooldownUntil || null,
+      cooldownReason: saved.cooldownReason || null,
+      restTokenWeek: saved.restTokenWeek || null,
+      restDays: Array.isArray(saved.restDays) ? saved.restDays : [],
+      timeOff: normalizeTimeOff(saved.timeOff),
+      weeklyChallenge: saved.weeklyChallenge || null,
+      mysteryBox: saved.mysteryBox || null,
+      challengeArchive: normalizeChallengeArchive(saved.challengeArchive),
+      bossRaids,
+      schemaVersion: SCHEMA_VERSION,
+      xpByDay,
+    });
+  }
+  return buildDefaultState();
+}
+
+function readSyncedGame() {
+  const doc = getDocument();
+  return { game: doc.game, syncMeta: doc.syncMeta };
+}
+
+// Anything edited locally while the request was in flight is merged back in
+// before the result replaces the stored game.
+async function syncSavedGame(config) {
+  const { merged } = await syncOnce({ config, readLocal: readSyncedGame });
+  const latest = mergeSyncedGames(readSyncedGame(), merged);
+  const game = hydrateSavedState(latest.game);
+  const syncedAt = new Date().toISOString();
+  transaction((doc) => ({
+    ...doc,
+    game,
+    syncMeta: latest.syncMeta,
+    sync: { ...normalizeSyncConfig(doc.sync), lastSyncedAt: syncedAt },
+  }));
+  return { game, syncedAt };
+}
+
 // -----------------------------
 // App
 // -----------------------------
 export default function LevelUpQuestBoard() {
   const [tab, setTab] = useState("home");
-  const [state, setState] = useState(() => {
-    const key = fmtDateKey(today());
-    const savedRaw = safeJsonParse(localStorage.getItem(STORAGE_KEY) || "", null);
-    const saved = migrateSavedState(savedRaw) || savedRaw;
-    if (saved && typeof saved === "object") {
-      const normalizedQuests = (saved.quests || DEFAULT_QUESTS).map((q) => normalizeQuest(q));
-      const xpFromDays = {};
-      for (const entry of Object.values(saved.days || {})) {
-        if (!entry?.completed) continue;
-        for (const [questId, info] of Object.entries(entry.completed)) {
-          if (typeof info?.xp !== "number") continue;
-          xpFromDays[questId] = (xpFromDays[questId] || 0) + info.xp;
-        }
-      }
-      const quests = normalizedQuests.map((q) => {
-        const xpCandidate = q.xp ? q.xp : xpFromDays[q.id] || 0;
-        const pct = progressPct(q.currentTargetValue, q.sTargetValue);
-        const cap = xpCapForRank(rankFromProgressPct(pct));
-        return { ...q, xp: Math.min(xpCandidate, cap) };
-      });
-      const totalXP = quests.reduce((sum, q) => sum + (q.xp || 0), 0);
-      const savedSettings = saved.settings || {};
-      const themeMode = savedSettings.themeMode || savedSettings.theme || DEFAULT_SETTINGS.themeMode;
-      const xpDebtEnabled =
-        typeof savedSettings.xpDebtEnabled === "boolean"
-          ? savedSettings.xpDebtEnabled
-          : savedSettings.penaltyMode === "xp_debt"
-          ? true
-          : DEFAULT_SETTINGS.xpDebtEnabled;
-      const blockAfterBedtime =
-        typeof savedSettings.blockAfterBedtime === "boolean"
-          ? savedSettings.blockAfterBedtime
-          : xpDebtEnabled
-          ? true
-          : DEFAULT_SETTINGS.blockAfterBedtime;
-      const noPhonePenaltyMinutes =
-        typeof savedSettings.noPhonePenaltyMinutes === "number"
-          ? savedSettings.noPhonePenaltyMinutes
-          : DEFAULT_SETTINGS.noPhonePenaltyMinutes;
-      const noPhonePenaltyEnabled =
-        typeof savedSettings.noPhonePenaltyEnabled === "boolean"
-          ? savedSettings.noPhonePenaltyEnabled
-          : DEFAULT_SETTINGS.noPhonePenaltyEnabled;
-      const days =
-        saved.days && Object.keys(saved.days).length
-          ? saved.days
-          : { [key]: { completed: {}, earnedXP: 0, xpDebt: 0, note: "", debtApplied: false } };
-      const xpByDay = saved.xpByDay
-        ? { ...saved.xpByDay }
-        : Object.fromEntries(Object.entries(days).map(([dayKey, entry]) => [dayKey, Number(entry?.earnedXP || 0)]));
-      return {
-        quests,
-        totalXP,
-        settings: {
-          ...DEFAULT_SETTINGS,
-          ...savedSettings,
-          themeMode,
-          xpDebtEnabled,
-          blockAfterBedtime,
-          noPhonePenaltyEnabled,
-          noPhonePenaltyMinutes,
-        },
-        days,
-        lastActiveDate: saved.lastActiveDate || key,
-        cooldownUntil: saved.cooldownUntil || null,
-        weeklyChallenge: saved.weeklyChallenge || null,
-        mysteryBox: saved.mysteryBox || null,
-        schemaVersion: SCHEMA_VERSION,
-        xpByDay,
-      };
-    }
-    return buildDefaultState();
-  });
+  const [state, setState] = useState(() => hydrateSavedState(readStorage("game")));
 
   useEffect(() => {
     if (typeof window === "undefined") return;
@@ -4165,20 +5831,13 @@ export default function LevelUpQuestBoard() {
   }, [tab]);
 
   const settings = state.settings;
-  const [playerProfile] = useState(() => {
-    if (typeof window === "undefined") return null;
-    return safeJsonParse(window.localStorage.getItem("playerProfile") || "", null);
-  });
-  const [playerPhoto, setPlayerPhoto] = useState(() => {
-    if (typeof window === "undefined") return "";
-    return window.localStorage.getItem("playerPhoto") || "";
-  });
+  const [playerProfile] = useState(() => readStorage("profile"));
+  const [playerPhoto, setPlayerPhoto] = useState(() => readStorage("playerPhoto", ""));
   const [joinDateKey] = useState(() => {
-    if (typeof window === "undefined") return fmtDateKey(today());
-    const stored = window.localStorage.getItem("joinDate");
+    const stored = readStorage("joinDate");
     if (stored) return stored;
     const todayKey = fmtDateKey(today());
-    window.localStorage.setItem("joinDate", todayKey);
+    writeStorage("joinDate", todayKey);
     return todayKey;
   });
   const [nowTick, setNowTick] = useState(() => Date.now());
@@ -4192,6 +5851,8 @@ export default function LevelUpQuestBoard() {
   const isDark =
     settings.themeMode === "dark" ? true : settings.themeMode === "light" ? false : systemPrefersDark;
   const dateKey = fmtDateKey(today());
+  const history = useUndoHistory(state, setState, { resetKey: dateKey });
+  const [undoOffer, setUndoOffer] = useState("");
 
   // Keep .dark class for external CSS compatibility
   useEffect(() => {
@@ -4223,21 +5884,38 @@ export default function LevelUpQuestBoard() {
   }, []);
 
   useEffect(() => {
-    if (typeof window === "undefined") return;
     if (!playerPhoto) return;
-    window.localStorage.setItem("playerPhoto", playerPhoto);
+    writeStorage("playerPhoto", playerPhoto);
   }, [playerPhoto]);
 
   useEffect(() => {
     if (!toastMessage) return undefined;
-    const t = setTimeout(() => setToastMessage(""), 2400);
+    const t = setTimeout(() => setToastMessage(""), toastMessage === undoOffer ? 5000 : 2400);
     return () => clearTimeout(t);
-  }, [toastMessage]);
+  }, [toastMessage, undoOffer]);
+
+  // Shows `message` with an Undo action for the step just checkpointed.
+  function offerUndo(message) {
+    setToastMessage(message);
+    setUndoOffer(message);
+  }
+
+  function undoLast() {
+    const label = history.undo();
+    setToastMessage(label ? `Undone: ${label}` : "Nothing to undo.");
+  }
+
+  function redoLast() {
+    const label = history.redo();
+    setToastMessage(label ? `Redone: ${label}` : "Nothing to redo.");
+  }
+
+  useUndoShortcuts(undoLast, redoLast);
 
   // Ensure today's entry exists + handle missed days penalties
   useEffect(() => {
     setState((prev) => {
-      const next = { ...prev, days: { ...prev.days } };
+      let next = { ...prev, days: { ...prev.days } };
 
       if (!next.days[dateKey]) {
         next.days[dateKey] = { completed: {}, earnedXP: 0, xpDebt: 0, note: "", debtApplied: false };
@@ -4250,33 +5928,139 @@ export default function LevelUpQuestBoard() {
 
         for (let i = 1; i < diffDays; i++) {
           const missedKey = fmtDateKey(addDays(last, i));
+          if (isTimeOffDay(next.timeOff, missedKey)) continue;
           if (!next.days[missedKey]) {
             next.days[missedKey] = { completed: {}, earnedXP: 0, xpDebt: 0, note: "(missed)", debtApplied: false };
           }
 
-          const missed = next.days[missedKey];
-          const anyDone = missed.earnedXP > 0 || Object.values(missed.completed || {}).some((x) => x?.done);
-          if (!anyDone && next.settings.xpDebtEnabled) {
-            missed.xpDebt = (missed.xpDebt || 0) + 50;
+          if (next.settings.xpDebtEnabled) {
+            const { amount, breakdown } = dayDebt(next, missedKey);
+            if (amount > 0) {
+              next = recordActivity(next, missedKey, [activityEvent("debt_applied", { amount, reason: "missed_day", breakdown })]);
+            }
           }
         }
 
+        for (let i = 0; i < diffDays; i++) {
+          const pastDate = addDays(last, i);
+          const pastKey = fmtDateKey(pastDate);
+          if (isTimeOffDay(next.timeOff, pastKey)) continue;
+          const pastDay = next.days[pastKey] || { completed: {}, earnedXP: 0, xpDebt: 0, note: "", debtApplied: false };
+          const missEvents = [];
+          const penaltyKey = fmtDateKey(addDays(pastDate, 1));
+          const penalties = [];
+          next.quests = next.quests.map((q) => {
+            if (!isQuestDueForDate(q, pastDate, next.days)) return q;
+            if (fmtDateKey(new Date(createdAtToMs(q.createdAt))) > pastKey) return q;
+            if (pastDay.completed?.[q.id]?.done) return q;
+            if (isBodyQuest(q) && (next.restDays || []).includes(pastKey)) return q;
+            // A block can only be served today; misses from earlier in a gap don't schedule one.
+            if (penaltyKey === dateKey && shouldSchedulePenalty(q, next.settings)) {
+              penalties.push(buildNoPhonePenalty({ quest: q, sourceDay: pastKey, reason: "missed", settings: next.settings }));
+            }
+            const result = recordQuestMiss(q, next.settings, pastDate.getTime());
+            if (result.event) missEvents.push(result.event);
+            return result.quest;
+          });
+          if (missEvents.length) next.days[pastKey] = appendDayEvents(pastDay, missEvents);
+          for (const penalty of penalties) next = addPenaltyToDay(next, penaltyKey, penalty);
+        }
+
         next.lastActiveDate = dateKey;
       }
 
+      // Open this week's raid so it lands in the boss history even if it's never fought.
+      if (next.settings.weeklyBossEnabled) next = openBossRaid(next, weeklyBossRaid(next.quests, fmtDateKey(startOfWeek(today()))));
+
       return next;
     });
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [dateKey]);
 
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    transaction((doc) => withSyncedGame(doc, state));
   }, [state]);
 
+  const [syncConfig, setSyncConfig] = useState(() => normalizeSyncConfig(readStorage("sync")));
+  const [syncStatus, setSyncStatus] = useState({ phase: "idle", error: "" });
+  const syncBusy = useRef(false);
+
+  function requestSync(config = syncConfig) {
+    if (syncBusy.current) return;
+    syncBusy.current = true;
+    setSyncStatus({ phase: "syncing", error: "" });
+    syncSavedGame(config)
+      .then(({ game, syncedAt }) => {
+        // Snapshots from before the merge would silently revert other devices' changes.
+        history.clear();
+        setState(game);
+        setSyncConfig((c) => ({ ...c, lastSyncedAt: syncedAt }));
+        setSyncStatus({ phase: "idle", error: "" });
+      })
+      .catch((error) => setSyncStatus({ phase: "error", error: error?.message || String(error) }))
+      .finally(() => {
+        syncBusy.current = false;
+      });
+  }
+
+  // Auto-sync on launch, on an interval and whenever the app comes back into view.
+  useEffect(() => {
+    if (!canSync(syncConfig)) return undefined;
+    requestSync();
+    const interval = setInterval(() => requestSync(), SYNC_INTERVAL_MS);
+    const onVisible = () => {
+      if (document.visibilityState === "visible") requestSync();
+    };
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncConfig.enabled, syncConfig.endpoint, syncConfig.space, syncConfig.token]);
+
+  const [notificationConfig, setNotificationConfig] = useState(() => normalizeNotificationConfig(readStorage("notifications")));
+
+  // Turning reminders on asks for permission first; they stay off if it is refused.
+  async function saveNotificationConfig(draft) {
+    const next = normalizeNotificationConfig({ ...notificationConfig, ...draft });
+    if (next.enabled && !notificationConfig.enabled) {
+      const permission = await requestNotificationPermission();
+      if (permission !== "granted") {
+        return permission === "unsupported"
+          ? "Notifications aren't supported here."
+          : "Notifications are blocked. Allow them for this app in your system or browser settings.";
+      }
+    }
+    setNotificationConfig(next);
+    writeStorage("notifications", next);
+    return null;
+  }
+
+  function saveSyncConfig(draft) {
+    const next = normalizeSyncConfig({ ...syncConfig, ...draft });
+    const error = next.enabled ? validateSyncConfig(next) : null;
+    if (error) return error;
+    setSyncConfig(next);
+    writeStorage("sync", next);
+    return null;
+  }
+
+  function syncNow(draft) {
+    const config = normalizeSyncConfig({ ...syncConfig, ...draft });
+    const error = validateSyncConfig(config);
+    if (error) {
+      setSyncStatus({ phase: "error", error });
+      return;
+    }
+    requestSync(config);
+  }
+
   const overallProgressPct = useMemo(() => {
-    if (!state.quests.length) return 0;
-    const sum = state.quests.reduce((acc, q) => acc + progressPct(q.currentTargetValue, q.sTargetValue), 0);
-    return sum / state.quests.length;
+    const listed = state.quests.filter(isQuestListed);
+    if (!listed.length) return 0;
+    const sum = listed.reduce((acc, q) => acc + progressPct(q.currentTargetValue, q.sTargetValue), 0);
+    return sum / listed.length;
   }, [state.quests]);
   const overallRank = useMemo(() => rankFromProgressPct(overallProgressPct), [overallProgressPct]);
   const overallProgressPctDisplay = Math.round(overallProgressPct * 100);
@@ -4284,19 +6068,15 @@ export default function LevelUpQuestBoard() {
   const playerName = playerProfile?.name || "";
   const playerAge = computeAge(playerProfile?.dob);
 
-  const streakDays = useMemo(() => {
-    let count = 0;
-    let d = new Date(dateKey + "T00:00:00");
-    for (let i = 0; i < 365; i++) {
-      const key = fmtDateKey(d);
-      const entry = state.days[key];
-      const ok = entry && (entry.earnedXP > 0 || Object.values(entry.completed || {}).some((x) => x?.done));
-      if (!ok) break;
-      count += 1;
-      d = addDays(d, -1);
-    }
-    return count;
-  }, [state.days, dateKey]);
+  const streakDays = useMemo(
+    () => countStreakDays(state.days, new Date(dateKey + "T00:00:00"), state.timeOff),
+    [state.days, state.timeOff, dateKey]
+  );
+  // Until something is completed today, the next completion extends yesterday's streak.
+  const streakBonus = useMemo(() => {
+    const days = streakDays || countStreakDays(state.days, addDays(new Date(dateKey + "T00:00:00"), -1), state.timeOff) + 1;
+    return streakBonusPct(days, settings);
+  }, [streakDays, state.days, state.timeOff, dateKey, settings]);
 
   const todays = state.days[dateKey] || { completed: {}, earnedXP: 0, xpDebt: 0, note: "", debtApplied: false };
   const isWithinWindowNow = useMemo(
@@ -4304,6 +6084,26 @@ export default function LevelUpQuestBoard() {
     [settings.wakeTime, settings.bedTime, nowTick]
   );
 
+  useEffect(() => {
+    if (!notificationConfig.enabled) return;
+    const date = new Date(`${dateKey}T00:00:00`);
+    const offToday = isTimeOffDay(state.timeOff, dateKey);
+    const restDay = (state.restDays || []).includes(dateKey);
+    const reminders = dueReminders({
+      config: notificationConfig,
+      settings,
+      dateKey,
+      now: new Date(nowTick),
+      quests: state.quests,
+      isScheduled: (q) => !offToday && !(restDay && isBodyQuest(q)) && isQuestScheduledForDate(q, date, state.days),
+      isDue: (q) => isQuestDueForDate(q, date, state.days),
+      isDone: (q) => !!state.days[dateKey]?.completed?.[q.id]?.done,
+      timerLimitMs: questTimerLimitMs,
+      weeklyChallenge: state.weeklyChallenge,
+    });
+    if (reminders.length) deliverReminders(reminders, nowTick);
+  }, [notificationConfig, settings, dateKey, nowTick, state.quests, state.days, state.timeOff, state.restDays, state.weeklyChallenge]);
+
   useEffect(() => {
     if (!settings.xpDebtEnabled) return;
     if (isWithinDayWindow(settings, new Date(nowTick))) return;
@@ -4311,60 +6111,69 @@ export default function LevelUpQuestBoard() {
     setState((prev) => {
       const key = dateKey;
       const existing = prev.days[key] || { completed: {}, earnedXP: 0, xpDebt: 0, note: "", debtApplied: false };
-      if (existing.debtApplied) return prev;
-      const allDone = prev.quests.every((q) => existing.completed?.[q.id]?.done);
-      const nextDay = {
-        ...existing,
-        debtApplied: true,
-        xpDebt: allDone ? existing.xpDebt || 0 : Math.max(existing.xpDebt || 0, 50),
-      };
-      return { ...prev, days: { ...prev.days, [key]: nextDay } };
+      if (existing.debtApplied || isTimeOffDay(prev.timeOff, key)) return prev;
+      const next = { ...prev, days: { ...prev.days, [key]: { ...existing, debtApplied: true } } };
+      // Bedtime tops the day's policy debt up to what the policy charges rather than adding to it.
+      const { amount: owed, breakdown } = dayDebt(next, key);
+      const amount = owed - policyDebtCharged(existing);
+      if (amount <= 0) return next;
+      return recordActivity(next, key, [activityEvent("debt_applied", { amount, reason: "bedtime", breakdown })]);
     });
   }, [settings.xpDebtEnabled, settings.wakeTime, settings.bedTime, nowTick, dateKey, state.quests]);
 
-  const isCooldownActive = useMemo(() => {
-    if (!state.cooldownUntil) return false;
-    return Date.now() < new Date(state.cooldownUntil).getTime();
-  }, [state.cooldownUntil]);
+  const cooldown = useMemo(
+    () => activeCooldown({ cooldownUntil: state.cooldownUntil, cooldownReason: state.cooldownReason }, nowTick),
+    [state.cooldownUntil, state.cooldownReason, nowTick]
+  );
+  const weekKey = fmtDateKey(startOfWeek(new Date(dateKey + "T00:00:00")));
+  const canTakeRestDay = restTokenAvailable(state, weekKey) && !cooldown;
 
-  const bossKey = useMemo(() => {
-    const sow = startOfWeek(today());
-    return fmtDateKey(sow) + "_boss";
-  }, [dateKey]);
+  function takeRestDay() {
+    if (!canTakeRestDay) return;
+    history.checkpoint("rest day");
+    const untilMs = addDays(new Date(dateKey + "T00:00:00"), 1).getTime();
+    setState((prev) => ({
+      ...startCooldown(prev, "rest", untilMs),
+      restTokenWeek: weekKey,
+      restDays: [...(prev.restDays || []).filter((k) => k !== dateKey), dateKey],
+    }));
+    offerUndo("Rest day started — body quests are locked until tomorrow.");
+  }
 
-  const boss = useMemo(() => {
-    if (!settings.weeklyBossEnabled) return null;
+  /** Returns an error message, or `null` once the range is saved. */
+  function declareTimeOff(draft) {
+    const error = validateTimeOff(draft);
+    if (error) return error;
+    history.checkpoint("time off");
+    setState((prev) => addTimeOff(prev, draft));
+    offerUndo(`${formatTimeOffRange(draft)} added.`);
+    return null;
+  }
 
-    const totalReps = state.quests
-      .filter((q) => q.measurementType === "reps")
-      .reduce((sum, q) => sum + (q.currentTargetValue || 0), 0);
+  function cancelTimeOff(id) {
+    const range = (state.timeOff || []).find((r) => r.id === id);
+    if (!range) return;
+    history.checkpoint("remove time off");
+    setState((prev) => removeTimeOff(prev, id));
+    offerUndo(`${formatTimeOffRange(range)} removed.`);
+  }
 
-    const dist = state.quests.find((q) => q.measurementType === "distance");
-    const runTarget = dist ? Math.min(5, Math.round(dist.currentTargetValue * 1.5 * 10) / 10) : 1;
+  const bossWeekKey = useMemo(() => fmtDateKey(startOfWeek(today())), [dateKey]);
 
-    return {
-      id: bossKey,
-      name: "Weekly Boss Raid",
-      desc: `Complete a high-volume circuit (total reps ≈ ${totalReps}) + run ${runTarget} km`,
-      baseXP: 220,
-      tier: "Boss",
-      kind: "boss",
-      meta: { totalReps, runTarget },
-    };
-  }, [settings.weeklyBossEnabled, bossKey, state.quests]);
+  const bossRecord = state.bossRaids?.[bossWeekKey] || null;
 
-  const bossDone = useMemo(() => {
-    if (!boss) return false;
-    const entry = state.days[bossKey];
-    return !!entry?.completed?.[boss.id]?.done;
-  }, [state.days, boss, bossKey]);
+  const boss = useMemo(() => {
+    if (!settings.weeklyBossEnabled) return null;
+    return raidForEntry(bossRecord, weeklyBossRaid(state.quests, bossWeekKey));
+  }, [settings.weeklyBossEnabled, bossWeekKey, bossRecord, state.quests]);
+
+  const bossProgress = useMemo(() => bossRaidProgress(boss, bossRecord), [boss, bossRecord]);
+  const bossHistory = useMemo(() => bossRaidHistory(state.bossRaids, { before: bossWeekKey }), [state.bossRaids, bossWeekKey]);
 
   function resetAll() {
     if (typeof window !== "undefined") {
-      window.localStorage.setItem("onboardingComplete", "false");
-      window.localStorage.removeItem("playerPhoto");
-      window.localStorage.removeItem("joinDate");
-      window.location.reload();
+      transaction((doc) => ({ ...doc, onboardingComplete: false, playerPhoto: "", joinDate: null }));
+      flushStorage().then(() => window.location.reload());
       return;
     }
     setState(buildDefaultState());
@@ -4375,54 +6184,127 @@ export default function LevelUpQuestBoard() {
     setResetModalOpen(true);
   }
 
-  function toggleQuestDone(questId) {
+  function exportSave() {
+    const file = buildSaveFile({
+      game: state,
+      profile: playerProfile,
+      joinDate: joinDateKey,
+      playerPhoto,
+      selectedCategories: readStorage("selectedCategories", []),
+    });
+    downloadTextFile(saveFileName(), JSON.stringify(file, null, 2));
+    setToastMessage("Save exported.");
+  }
+
+  function prepareImport(text) {
+    const parsed = parseSaveFile(text);
+    if (parsed.error) return { error: parsed.error };
+    // The file passed validation but its contents can still be malformed deeper down.
+    try {
+      const incoming = hydrateSavedState(parsed.save.game);
+      const merged = hydrateSavedState(mergeGames(state, incoming));
+      return {
+        save: parsed.save,
+        incoming,
+        merged,
+        previews: { merge: describeImport(state, merged), replace: describeImport(state, incoming) },
+      };
+    } catch (error) {
+      console.error("Save file could not be loaded", error);
+      return { error: "This save file contains data the app can't read." };
+    }
+  }
+
+  function applyImport(pending, mode) {
+    const { save } = pending;
+    const merge = mode === "merge";
+    const next = merge ? pending.merged : pending.incoming;
+    transaction((doc) => ({
+      ...withSyncedGame(doc, next),
+      profile: merge ? doc.profile || save.profile : save.profile || doc.profile,
+      joinDate: merge ? earliestDateKey(doc.joinDate, save.joinDate) : save.joinDate || doc.joinDate,
+      playerPhoto: merge ? doc.playerPhoto || save.playerPhoto : save.playerPhoto || doc.playerPhoto,
+      selectedCategories: merge ? doc.selectedCategories : save.selectedCategories,
+      onboardingComplete: true,
+    }));
+    setState(next);
+    // Profile, photo and join date are read once on mount; reload to pick them up.
+    flushStorage().then(() => window.location.reload());
+  }
+
+  function repairIntegrity() {
+    history.checkpoint("XP repair");
+    const repaired = rebuildDerivedTotals(state, { questXpCap });
+    setState(repaired);
+    setToastMessage("XP totals rebuilt from your day history.");
+    return checkIntegrity(repaired, { questXpCap });
+  }
+
+  function toggleQuestDone(questId, performedValue) {
     setState((prev) => {
       const key = dateKey;
       const day = prev.days[key] || { completed: {}, earnedXP: 0, xpDebt: 0, note: "", debtApplied: false };
       const was = !!day.completed?.[questId]?.done;
+      if (was && isHardcore(prev.settings)) return prev;
 
       const q = prev.quests.find((x) => x.id === questId);
       if (!q) return prev;
+      const activeCd = activeCooldown(prev, Date.now());
+      if (!was && isBodyLocked(activeCd, q)) return prev;
 
       const currentDone = { ...(day.completed || {}) };
       const prevAward = currentDone[questId]?.xp || 0;
 
-      const pct = progressPct(q.currentTargetValue, q.sTargetValue);
-      const rank = rankFromProgressPct(pct);
-      const cap = xpCapForRank(rank);
-      const baseXP = baseXPForRank(rank);
-      const improvement = q.currentTargetValue > q.baselineValue;
-      const improvementXP = improvement ? Math.round(baseXP * IMPROVEMENT_BONUS_MULT) : 0;
-      const rawAward = Math.round((baseXP + improvementXP) * priorityMultiplier(q.priority));
-      const remaining = Math.max(0, cap - (q.xp || 0));
-      const award = Math.max(0, Math.min(rawAward, remaining));
-
-      const earnedDelta = was ? -prevAward : award;
-      let newDebt = day.xpDebt || 0;
-      let credited = earnedDelta;
-      if (earnedDelta > 0 && prev.settings.xpDebtEnabled && newDebt > 0) {
-        const pay = Math.min(newDebt, earnedDelta);
-        newDebt -= pay;
-        credited -= pay;
-      }
-      const nextDone = !was;
-      currentDone[questId] = { done: nextDone, xp: nextDone ? Math.max(0, credited) : 0 };
-
-      const newDay = {
-        ...day,
-        completed: currentDone,
-        earnedXP: Math.max(0, (day.earnedXP || 0) + credited),
-        xpDebt: newDebt,
-      };
+      const target = questPerformanceTarget(q);
+      const logged = !was && target !== null && typeof performedValue === "number" && Number.isFinite(performedValue);
+      const perfMult = logged ? performanceMultiplier(performedValue, target) : 1;
+      const breakdown = questAwardBreakdown(q, {
+        performanceMult: perfMult,
+        streakPct: streakBonus,
+        cooldownMult: was ? 1 : cooldownXpMult(activeCd, q),
+      });
+      const award = rewardsBlockedByPenalty(day, prev.settings) ? 0 : breakdown.award;
 
-      const updatedQuests = prev.quests.map((quest) => {
-        if (quest.id !== questId) return quest;
-        const nextXP = Math.max(0, (quest.xp || 0) + credited);
-        const nextBaseline = !was && quest.currentTargetValue > quest.baselineValue ? quest.currentTargetValue : quest.baselineValue;
+      const nextDone = !was;
+      const prevEntry = day.completed?.[questId];
+      const activity = nextDone
+        ? rewardEvents("quest_completed", { questId, questName: q.name }, award, { day, settings: prev.settings })
+        : [activityEvent("quest_undone", { questId, questName: q.name, ref: prevEntry?.activityId, xp: prevAward })];
+      const progressed = nextDone
+        ? !logged || metTarget(performedValue, target)
+          ? recordSessionSuccess(q)
+          : { quest: q, event: null }
+        : null;
+      const modifiers = [formatPerformanceModifier(perfMult), formatStreakModifier(breakdown.streakPct)].filter(Boolean);
+      currentDone[questId] = nextDone
+        ? {
+            done: true,
+            xp: activity[0].xp,
+            activityId: activity[0].id,
+            ...(logged ? { value: performedValue, target, unit: questUnitLabel(q) } : {}),
+            ...(modifiers.length ? { modifiers } : {}),
+            breakdown,
+            progressBefore: snapshotProgression(q),
+            progressEvent: progressed.event,
+          }
+        : { done: false, xp: 0 };
+
+      const baseDay = { ...day, completed: currentDone };
+      const newDay = nextDone
+        ? appendDayEvents(baseDay, [progressed.event])
+        : {
+            ...baseDay,
+            events: (day.events || []).filter((e) => !isSameDayEvent(e, prevEntry?.progressEvent)),
+          };
+
+      const updatedQuests = prev.quests.map((source) => {
+        if (source.id !== questId) return source;
+        const quest = nextDone ? progressed.quest : undoCompletionProgression(prev, source, key, prevEntry);
+        const nextBaseline = !was && source.currentTargetValue > quest.baselineValue ? source.currentTargetValue : quest.baselineValue;
         const isTimed = questIsTimed(quest);
         if (!isTimed) {
           const nextStatus = !was ? "completed" : "idle";
-          return { ...quest, xp: nextXP, baselineValue: nextBaseline, status: nextStatus, startedAt: null, elapsedMs: 0 };
+          return { ...quest, baselineValue: nextBaseline, status: nextStatus, startedAt: null, elapsedMs: 0 };
         }
         const nextStatus = !was ? "completed" : "idle";
         const elapsedMs = !was
@@ -4432,7 +6314,6 @@ export default function LevelUpQuestBoard() {
           : 0;
         return {
           ...quest,
-          xp: nextXP,
           baselineValue: nextBaseline,
           status: nextStatus,
           elapsedMs,
@@ -4440,17 +6321,18 @@ export default function LevelUpQuestBoard() {
         };
       });
 
-      return {
-        ...prev,
-        quests: updatedQuests,
-        totalXP: Math.max(0, prev.totalXP + credited),
-        xpByDay: incrementXpByDay(prev.xpByDay, key, credited),
-        days: { ...prev.days, [key]: newDay },
-      };
+      const nextState = recordActivity({ ...prev, quests: updatedQuests, days: { ...prev.days, [key]: newDay } }, key, activity);
+      if (!nextDone || !logged || !isBodyQuest(q)) return nextState;
+      const keyDate = new Date(key + "T00:00:00");
+      const recentDays = [nextState.days[key], prev.days[fmtDateKey(addDays(keyDate, -1))], prev.days[fmtDateKey(addDays(keyDate, -2))]];
+      if (!shouldForceIntensityCooldown(recentDays, nextState.quests)) return nextState;
+      const now = Date.now();
+      return startCooldown(nextState, "intensity", cooldownHoursFrom(now, INTENSITY_RECOVERY_HOURS), now);
     });
   }
 
   function startQuest(questId) {
+    history.checkpoint(`start ${questName(questId)}`);
     setState((prev) => ({
       ...prev,
       quests: prev.quests.map((q) => {
@@ -4462,6 +6344,7 @@ export default function LevelUpQuestBoard() {
   }
 
   function pauseQuest(questId) {
+    history.checkpoint(`pause ${questName(questId)}`);
     setState((prev) => ({
       ...prev,
       quests: prev.quests.map((q) => {
@@ -4475,6 +6358,7 @@ export default function LevelUpQuestBoard() {
   }
 
   function resumeQuest(questId) {
+    history.checkpoint(`resume ${questName(questId)}`);
     setState((prev) => ({
       ...prev,
       quests: prev.quests.map((q) => {
@@ -4487,9 +6371,13 @@ export default function LevelUpQuestBoard() {
     }));
   }
 
-  function completeQuest(questId) {
+  function completeQuest(questId, performedValue) {
     const quest = state.quests.find((q) => q.id === questId);
     if (!quest) return;
+    if (isBodyLocked(activeCooldown(state, Date.now()), quest)) {
+      setToastMessage("Rest day — body quests are locked.");
+      return;
+    }
     if (settings.blockAfterBedtime && !isWithinDayWindow(settings, new Date())) {
       setToastMessage("Outside your day window — completion won’t count.");
       return;
@@ -4499,57 +6387,164 @@ export default function LevelUpQuestBoard() {
       const limit = questTimerLimitMs(quest);
       if (limit && elapsed > limit) {
         setToastMessage("Timer ended — quest not accepted.");
+        if (shouldSchedulePenalty(quest, settings)) scheduleFailedPenalty(quest);
         return;
       }
+      const minutes = Math.round((elapsed / 60000) * 10) / 10;
+      checkpointCompletion(quest);
+      pendingAward.current = questId;
+      toggleQuestDone(questId, minutes);
+      return;
     }
-    toggleQuestDone(questId);
+    checkpointCompletion(quest);
+    pendingAward.current = questId;
+    toggleQuestDone(questId, performedValue);
+  }
+
+  function questName(questId) {
+    return state.quests.find((q) => q.id === questId)?.name || "quest";
+  }
+
+  // Hardcore forbids undoing completions, so nothing before one can be restored either.
+  function checkpointCompletion(quest) {
+    if (isHardcore(settings)) history.clear();
+    else history.checkpoint(`complete ${quest.name}`);
+  }
+
+  function scheduleFailedPenalty(quest) {
+    const penaltyKey = fmtDateKey(addDays(new Date(dateKey + "T00:00:00"), 1));
+    setState((prev) => {
+      const penalty = buildNoPhonePenalty({ quest, sourceDay: dateKey, reason: "failed", settings: prev.settings });
+      return addPenaltyToDay(prev, penaltyKey, penalty);
+    });
+  }
+
+  function updateTodayPenalty(penaltyId, update) {
+    setState((prev) => {
+      const day = prev.days[dateKey];
+      if (!day?.penalties?.length) return prev;
+      const penalties = day.penalties.map((p) => (p.id === penaltyId ? update(p) : p));
+      return { ...prev, days: { ...prev.days, [dateKey]: { ...day, penalties } } };
+    });
+  }
+
+  function startPenaltyBlock(penaltyId) {
+    updateTodayPenalty(penaltyId, (p) => startPenalty(p, Date.now()));
+  }
+
+  function pausePenaltyBlock(penaltyId) {
+    updateTodayPenalty(penaltyId, (p) => pausePenalty(p, Date.now()));
+  }
+
+  function finishPenaltyBlock(penaltyId) {
+    const penalty = todays.penalties?.find((p) => p.id === penaltyId);
+    if (!penalty) return;
+    if (penaltyElapsedMs(penalty, Date.now()) < penalty.minutes * 60000) {
+      setToastMessage("Focus block isn’t finished yet.");
+      return;
+    }
+    setState((prev) => {
+      const day = prev.days[dateKey];
+      if (!day) return prev;
+      const finished = finishPenalty(day, penaltyId, Date.now());
+      if (finished === day) return prev;
+      const next = { ...prev, days: { ...prev.days, [dateKey]: finished } };
+      const amount = Math.min(day.xpDebt || 0, day.penalties.find((p) => p.id === penaltyId)?.debt || 0);
+      if (!amount) return next;
+      return recordActivity(next, dateKey, [activityEvent("debt_cleared", { amount, reason: "penalty", ref: penaltyId })]);
+    });
+    setToastMessage("Focus block complete — penalty cleared.");
   }
 
-  function toggleBossDone() {
+  // The toast reports what the completion actually recorded, once the update has landed.
+  const pendingAward = useRef(null);
+  useEffect(() => {
+    const questId = pendingAward.current;
+    if (!questId) return;
+    pendingAward.current = null;
+    const day = state.days[dateKey];
+    const entry = day?.completed?.[questId];
+    if (!entry?.done) return;
+    if (!entry.xp && rewardsBlockedByPenalty(day, state.settings)) {
+      setToastMessage("Rewards blocked until today’s focus block is finished.");
+      return;
+    }
+    const message = `+${entry.xp || 0} XP — ${formatAwardBreakdown(entry.breakdown)}`;
+    setToastMessage(message);
+    if (!isHardcore(state.settings)) setUndoOffer(message);
+  }, [state, dateKey]);
+
+  // Each phase pays out on the day it is cleared; clearing the last one adds
+  // the clear bonus and starts boss recovery. Un-clearing a phase also takes
+  // the bonus back. The raid is frozen onto the entry so later quest edits
+  // can't change a raid in progress.
+  function toggleBossPhase(phaseId) {
     if (!boss) return;
 
     setState((prev) => {
-      const entry = prev.days[bossKey] || { completed: {}, earnedXP: 0, xpDebt: 0, note: "", debtApplied: false };
-      const was = !!entry.completed?.[boss.id]?.done;
-      const prevAward = entry.completed?.[boss.id]?.xp || 0;
-
-      const base = boss.baseXP;
-      const bossXP = base;
-      const delta = was ? -prevAward : bossXP;
-
-      const completed = { ...(entry.completed || {}) };
-      completed[boss.id] = { done: !was, modifiers: ["Boss"], xp: !was ? bossXP : 0 };
-
-      let newDebt = entry.xpDebt || 0;
-      let credited = delta;
-      if (delta > 0 && prev.settings.xpDebtEnabled && newDebt > 0) {
-        const pay = Math.min(newDebt, delta);
-        newDebt -= pay;
-        credited -= pay;
+      const record = prev.bossRaids?.[bossWeekKey] || {};
+      // A raid cleared before raids had phases stays as it was.
+      if (record.done && !record.raid) return prev;
+      const raid = raidForEntry(record, boss);
+      const phase = raid.phases.find((p) => p.id === phaseId);
+      if (!phase) return prev;
+      const cleared = record.phases?.[phaseId];
+      if (cleared && isHardcore(prev.settings)) return prev;
+
+      const phases = { ...(record.phases || {}) };
+      const label = `${raid.name}: ${phase.label}`;
+      const modifiers = ["Boss", formatStreakModifier(streakBonus)].filter(Boolean);
+      let next = prev;
+      let bonus = record.bonus || null;
+
+      if (cleared) {
+        delete phases[phaseId];
+        next = recordActivity(next, cleared.activityDay, [
+          activityEvent("boss_undone", { bossId: boss.id, phaseId, label, ref: cleared.activityId, xp: cleared.xp }),
+        ]);
+        if (bonus) {
+          next = recordActivity(next, bonus.activityDay, [
+            activityEvent("boss_undone", { bossId: boss.id, label: `${raid.name}: clear bonus`, ref: bonus.activityId, xp: bonus.xp }),
+          ]);
+          bonus = null;
+        }
+      } else {
+        const blocked = rewardsBlockedByPenalty(prev.days[dateKey], prev.settings);
+        const events = rewardEvents("boss_completed", { bossId: boss.id, phaseId, label }, blocked ? 0 : applyStreakBonus(phase.xp, streakBonus), {
+          day: prev.days[dateKey],
+          settings: prev.settings,
+        });
+        next = recordActivity(next, dateKey, events);
+        phases[phaseId] = { xp: events[0].xp, activityId: events[0].id, activityDay: dateKey };
+        if (raid.phases.every((p) => phases[p.id])) {
+          const bonusEvents = rewardEvents("boss_completed", { bossId: boss.id, label: `${raid.name}: clear bonus` }, blocked ? 0 : raid.bonusXP, {
+            day: next.days[dateKey],
+            settings: prev.settings,
+          });
+          next = recordActivity(next, dateKey, bonusEvents);
+          bonus = { xp: bonusEvents[0].xp, activityId: bonusEvents[0].id, activityDay: dateKey };
+        }
       }
 
-      const updated = {
-        ...entry,
-        completed,
-        earnedXP: Math.max(0, (entry.earnedXP || 0) + credited),
-        xpDebt: newDebt,
-      };
-
-      return {
-        ...prev,
-        totalXP: Math.max(0, prev.totalXP + credited),
-        xpByDay: incrementXpByDay(prev.xpByDay, dateKey, credited),
-        days: { ...prev.days, [bossKey]: updated },
-      };
+      const nextRecord = { raid, phases, bonus, modifiers, done: !!bonus };
+      nextRecord.xp = bossRaidProgress(raid, nextRecord).xp;
+      // The raid is kept per week; its XP counts for the day each phase was cleared.
+      next = { ...next, bossRaids: { ...(next.bossRaids || {}), [bossWeekKey]: nextRecord } };
+      if (!bonus || record.bonus) return next;
+      const now = Date.now();
+      return startCooldown(next, "boss", cooldownHoursFrom(now, BOSS_RECOVERY_HOURS), now);
     });
   }
 
-  function attemptToggleBossDone() {
+  function attemptToggleBossPhase(phaseId) {
     if (settings.blockAfterBedtime && !isWithinDayWindow(settings, new Date())) {
       setToastMessage("Outside your day window — completion won’t count.");
       return;
     }
-    toggleBossDone();
+    const cleared = bossProgress.cleared.includes(phaseId);
+    if (isHardcore(settings)) history.clear();
+    else history.checkpoint(cleared ? "undo boss phase" : "boss phase clear");
+    toggleBossPhase(phaseId);
   }
 
   function setWeeklyBossEnabled(v) {
@@ -4557,6 +6552,7 @@ export default function LevelUpQuestBoard() {
   }
 
   function updateQuest(id, patch) {
+    history.checkpoint(`edit ${questName(id)}`, `edit-${id}-${Object.keys(patch).sort().join(",")}`);
     setState((prev) => ({
       ...prev,
       quests: prev.quests.map((q) => (q.id === id ? { ...q, ...patch } : q)),
@@ -4564,6 +6560,7 @@ export default function LevelUpQuestBoard() {
   }
 
   function addQuest(config = {}) {
+    history.checkpoint("add quest");
     const id =
       typeof crypto !== "undefined" && typeof crypto.randomUUID === "function"
         ? crypto.randomUUID()
@@ -4574,12 +6571,8 @@ export default function LevelUpQuestBoard() {
     const measurementType = allowed.includes(config.measurementType) ? config.measurementType : allowed[0] || "reps";
     const unitType = unitTypeForMeasurement(measurementType);
     const unit = String(config.unit || defaultUnitForMeasurement(measurementType)).trim();
-    const frequency = normalizeFrequency(config.frequency || "daily");
-    const daysOfWeek =
-      frequency === "daily"
-        ? defaultWeeklyDays()
-        : normalizeDaysOfWeek(config.daysOfWeek);
-    const sessionsPerWeek = sessionsPerWeekFromConsistency(frequency, daysOfWeek);
+    const schedule = normalizeSchedule({ ...config, frequency: config.frequency || "daily" });
+    const sessionsPerWeek = sessionsPerWeekForSchedule(schedule);
     const rawS = Math.max(1, Number(config.sTargetValue ?? 10) || 1);
     const rawStart = Math.max(1, Number(config.currentTargetValue ?? 1) || 1);
     const progression = buildQuestProgression({
@@ -4612,8 +6605,8 @@ export default function LevelUpQuestBoard() {
           baselineValue,
           priority,
           xp: 0,
-          frequency,
-          daysOfWeek,
+          ...schedule,
+          ...normalizeTimeSlot(config),
           progression,
           createdAt,
           status: "idle",
@@ -4621,6 +6614,8 @@ export default function LevelUpQuestBoard() {
           elapsedMs: 0,
           targetMinutes,
           graceMinutes,
+          lifecycle: "active",
+          lifecycleChangedAt: null,
         },
         ...prev.quests,
       ],
@@ -4628,33 +6623,42 @@ export default function LevelUpQuestBoard() {
     return id;
   }
 
+  function changeQuestLifecycle(id, lifecycle) {
+    const name = questName(id);
+    const { verb, past } = QUEST_LIFECYCLES[lifecycle];
+    history.checkpoint(`${verb} ${name}`);
+    setState((prev) => ({
+      ...prev,
+      quests: prev.quests.map((q) => (q.id === id ? setQuestLifecycle(q, lifecycle) : q)),
+    }));
+    offerUndo(`${name} ${past}.`);
+  }
+
+  // Deleting only hides the quest: its completions and XP stay in the day
+  // history, and the calendar can still name it.
   function deleteQuest(id) {
-    setState((prev) => {
-      const removed = prev.quests.find((q) => q.id === id);
-      const removedXP = removed?.xp || 0;
-      return {
-        ...prev,
-        totalXP: Math.max(0, prev.totalXP - removedXP),
-        quests: prev.quests.filter((q) => q.id !== id),
-      };
-    });
+    changeQuestLifecycle(id, "deleted");
   }
 
   const stats = useMemo(() => {
-    const keys = Object.keys(state.days).sort();
-    const last30 = keys.filter((k) => k <= dateKey).slice(-30);
+    const keys = Object.keys(state.days)
+      .filter((k) => k <= dateKey && !isTimeOffDay(state.timeOff, k))
+      .sort();
+    const last30 = keys.slice(-30);
     const totalDays = last30.length;
     const activeDays = last30.filter((k) => (state.days[k]?.earnedXP || 0) > 0).length;
     const sumXP = last30.reduce((s, k) => s + (state.days[k]?.earnedXP || 0), 0);
 
-    const last14 = keys.filter((k) => k <= dateKey).slice(-14);
+    const last14 = keys.slice(-14);
     const questTotals = {};
     const questDone = {};
     for (const k of last14) {
       const entry = state.days[k];
-      for (const q of state.quests) {
-        questTotals[q.id] = (questTotals[q.id] || 0) + 1;
+      const date = new Date(`${k}T00:00:00`);
+      for (const q of state.quests.filter(isQuestActive)) {
         const done = !!entry?.completed?.[q.id]?.done;
+        if (!done && !isQuestDueForDate(q, date, state.days)) continue;
+        questTotals[q.id] = (questTotals[q.id] || 0) + 1;
         if (done) questDone[q.id] = (questDone[q.id] || 0) + 1;
       }
     }
@@ -4666,7 +6670,7 @@ export default function LevelUpQuestBoard() {
       life: { progressPct: 0, rank: "E" },
     };
     for (const category of QUEST_CATEGORIES) {
-      const list = state.quests.filter((q) => q.category === category);
+      const list = state.quests.filter((q) => isQuestListed(q) && q.category === category);
       if (!list.length) continue;
       const sum = list.reduce((acc, q) => acc + progressPct(q.currentTargetValue, q.sTargetValue), 0);
       const pct = sum / list.length;
@@ -4683,7 +6687,7 @@ export default function LevelUpQuestBoard() {
       questDone,
       categoryProgress,
     };
-  }, [state.days, state.quests, dateKey]);
+  }, [state.days, state.quests, state.timeOff, dateKey]);
 
   // Calendar state
   const [calCursor, setCalCursor] = useState(() => {
@@ -4736,8 +6740,14 @@ export default function LevelUpQuestBoard() {
           onOpenSettings={() => setTab("settings")}
           overallRank={overallRank}
           totalXP={state.totalXP}
+          cooldown={cooldown}
+          canTakeRestDay={canTakeRestDay}
+          onTakeRestDay={takeRestDay}
+          onDeclareTimeOff={declareTimeOff}
+          onCancelTimeOff={cancelTimeOff}
           state={state}
           setState={setState}
+          nowTick={nowTick}
           joinDateKey={joinDateKey}
           calCursor={calCursor}
           setCalCursor={setCalCursor}
@@ -4762,14 +6772,18 @@ export default function LevelUpQuestBoard() {
           todays={todays}
           settings={settings}
           boss={boss}
-          bossDone={bossDone}
-          toggleBossDone={attemptToggleBossDone}
+          bossProgress={bossProgress}
+          bossHistory={bossHistory}
+          onToggleBossPhase={attemptToggleBossPhase}
           isWithinWindowNow={isWithinWindowNow}
           timerTick={timerTick}
           onQuestStart={startQuest}
           onQuestPause={pauseQuest}
           onQuestResume={resumeQuest}
           onQuestComplete={completeQuest}
+          onPenaltyStart={startPenaltyBlock}
+          onPenaltyPause={pausePenaltyBlock}
+          onPenaltyFinish={finishPenaltyBlock}
           textMuted={textMuted}
           textSoft={textSoft}
           isDark={isDark}
@@ -4778,6 +6792,7 @@ export default function LevelUpQuestBoard() {
           updateQuest={updateQuest}
           addQuest={addQuest}
           deleteQuest={deleteQuest}
+          changeQuestLifecycle={changeQuestLifecycle}
         />
       ) : null}
       {tab === "do-different" ? (
@@ -4785,6 +6800,7 @@ export default function LevelUpQuestBoard() {
           state={state}
           setState={setState}
           settings={settings}
+          streakBonusPct={streakBonus}
           dateKey={dateKey}
           nowTick={nowTick}
           isDark={isDark}
@@ -4816,6 +6832,17 @@ export default function LevelUpQuestBoard() {
           surface={surface}
           textMuted={textMuted}
           requestReset={requestReset}
+          onExportSave={exportSave}
+          onPrepareImport={prepareImport}
+          onApplyImport={applyImport}
+          syncConfig={syncConfig}
+          syncStatus={syncStatus}
+          onSaveSyncConfig={saveSyncConfig}
+          onSyncNow={syncNow}
+          notificationConfig={notificationConfig}
+          onSaveNotificationConfig={saveNotificationConfig}
+          onCheckIntegrity={() => checkIntegrity(state, { questXpCap })}
+          onRepairIntegrity={repairIntegrity}
           setWeeklyBossEnabled={setWeeklyBossEnabled}
           setState={setState}
         />
@@ -4854,7 +6881,11 @@ export default function LevelUpQuestBoard() {
         </div>
       </Modal>
 
-      <Toast message={toastMessage} isDark={isDark} />
+      <Toast
+        message={toastMessage}
+        action={toastMessage && toastMessage === undoOffer && history.canUndo ? { label: "Undo", onClick: undoLast } : null}
+        isDark={isDark}
+      />
 
       <BottomTabs tab={tab} setTab={setTab} isDark={isDark} />
     </Shell>
@@ -1,16 +1,7 @@
 import React, { useEffect, useState } from "react";
 import App from "./App.jsx";
 import Onboarding from "./Onboarding.jsx";
-import { STORAGE_KEY } from "./onboarding/taskTemplates.js";
-
-function safeParseJSON(value, fallback) {
-  try {
-    const parsed = JSON.parse(value);
-    return parsed ?? fallback;
-  } catch {
-    return fallback;
-  }
-}
+import { readStorage, transaction, writeStorage } from "./storage/index.js";
 
 function buildStorageState(quests, settingsOverrides = {}) {
   return {
@@ -33,15 +24,11 @@ function buildStorageState(quests, settingsOverrides = {}) {
 }
 
 function isOnboardingComplete() {
-  if (typeof window === "undefined") return false;
-  return window.localStorage.getItem("onboardingComplete") === "true";
+  return readStorage("onboardingComplete", false) === true;
 }
 
 function hasQuestData() {
-  if (typeof window === "undefined") return false;
-  const questList = safeParseJSON(window.localStorage.getItem("quests"), []);
-  if (Array.isArray(questList) && questList.length) return true;
-  const saved = safeParseJSON(window.localStorage.getItem(STORAGE_KEY), null);
+  const saved = readStorage("game");
   return Array.isArray(saved?.quests) && saved.quests.length > 0;
 }
 
@@ -52,19 +39,20 @@ export default function Boot() {
     setReady(isOnboardingComplete() && hasQuestData());
     if (typeof window !== "undefined") {
       window.__restartOnboarding = () => {
-        window.localStorage.setItem("onboardingComplete", "false");
+        writeStorage("onboardingComplete", false);
         setReady(false);
       };
     }
   }, []);
 
   function handleComplete({ profile, categories, quests, settings }) {
-    if (typeof window === "undefined") return;
-    window.localStorage.setItem("playerProfile", JSON.stringify(profile));
-    window.localStorage.setItem("selectedCategories", JSON.stringify(categories));
-    window.localStorage.setItem("quests", JSON.stringify(quests));
-    window.localStorage.setItem("onboardingComplete", "true");
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(buildStorageState(quests, settings)));
+    transaction((doc) => ({
+      ...doc,
+      profile,
+      selectedCategories: categories,
+      onboardingComplete: true,
+      game: buildStorageState(quests, settings),
+    }));
     setReady(true);
   }
 
@@ -1,6 +1,15 @@
-import React, { useEffect, useMemo } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { Sparkles } from "lucide-react";
 import { normalizeMeasurementType } from "./taxonomy";
+import { recordActivity, rewardEvents } from "./utils/activityLog.js";
+import { archiveChallenge, challengeStats, closingStatus } from "./utils/challengeArchive.js";
+import { weeklyChallengeProgress } from "./utils/challengeProgress.js";
+import { isHardcore } from "./utils/hardcore.js";
+import { rewardsBlockedByPenalty } from "./utils/noPhonePenalty.js";
+import { isQuestActive } from "./utils/questLifecycle.js";
+import { promoteQuestTarget } from "./utils/questProgression.js";
+import { dateKeyOf, isScheduledInRange } from "./utils/schedule.js";
+import { applyStreakBonus, formatStreakModifier } from "./utils/xpModifiers.js";
 
 function cx(...parts) {
   return parts.filter(Boolean).join(" ");
@@ -26,6 +35,30 @@ const BASE_XP_BY_RANK = {
 
 const RANK_ORDER = ["E", "D", "C", "B", "A", "S"];
 
+const TEMPLATE_LABELS = {
+  "weekly:quantity": "Weekly target push",
+  "weekly:constraint": "Weekly 3-day streak",
+  "mystery:tempo": "Tempo",
+  "mystery:sets": "Sets",
+  "mystery:ladder": "Ladder",
+  "mystery:timebox": "Timebox",
+  "mystery:no-music": "No music",
+  "mystery:perfect-form": "Perfect form",
+  "mystery:pause-reps": "Pause reps",
+  "mystery:even-odd": "Slow/fast reps",
+  "mystery:streak-blocks": "Blocks",
+  "mystery:timing-window": "First waking hour",
+  "mystery:environment": "Mealtimes",
+  "mystery:replacement": "Healthy swap",
+  "mystery:double-down": "Reflection",
+};
+
+const RECENT_HISTORY_COUNT = 8;
+
+function templateLabel(kind, templateId) {
+  return TEMPLATE_LABELS[`${kind}:${templateId}`] || templateId || "Challenge";
+}
+
 const TIER_MULTIPLIERS = {
   "E->D": 2,
   "D->C": 2.25,
@@ -87,14 +120,6 @@ function templateTextValid(text, measurementType) {
   return true;
 }
 
-function incrementXpByDay(map, key, delta) {
-  const next = { ...(map || {}) };
-  const prevVal = Number(next[key] || 0);
-  const updated = prevVal + delta;
-  next[key] = Math.max(0, updated);
-  return next;
-}
-
 function getWeeklyWindow(now, wakeTime) {
   const wakeMinutes = parseTimeToMinutes(wakeTime || "08:00");
   const base = new Date(now);
@@ -152,8 +177,15 @@ function roundTarget(value, unitType) {
   return Math.max(1, Math.round(value));
 }
 
+// Only quests that actually come up during the challenge window are picked.
+function eligibleQuests(quests, windowStartMs, windowEndMs) {
+  const startKey = dateKeyOf(new Date(windowStartMs));
+  const endKey = dateKeyOf(new Date(windowEndMs - 1));
+  return quests.filter((q) => q && q.name && isQuestActive(q) && isScheduledInRange(q, startKey, endKey));
+}
+
 function buildWeeklyChallenge({ quests, settings, windowStartMs, windowEndMs }) {
-  const eligible = quests.filter((q) => q && q.name);
+  const eligible = eligibleQuests(quests, windowStartMs, windowEndMs);
   if (!eligible.length) return null;
   const chosen = eligible[Math.floor(Math.random() * eligible.length)];
   const measurementType = questMeasurementType(chosen);
@@ -218,7 +250,7 @@ function pickTemplate(templates) {
 }
 
 function buildMysteryBox({ quests, settings, windowStart, windowEnd }) {
-  const eligible = quests.filter((q) => q && q.name);
+  const eligible = eligibleQuests(quests, windowStart.getTime(), windowEnd.getTime());
   if (!eligible.length) return null;
   const chosen = eligible[Math.floor(Math.random() * eligible.length)];
   const measurementType = questMeasurementType(chosen);
@@ -411,6 +443,7 @@ export default function DoDifferent({
   state,
   setState,
   settings,
+  streakBonusPct = 0,
   dateKey,
   nowTick,
   isDark,
@@ -419,6 +452,8 @@ export default function DoDifferent({
   textMuted,
 }) {
   const nowMs = useMemo(() => (typeof nowTick === "number" ? nowTick : Date.now()), [nowTick]);
+  const [confirmingPromotion, setConfirmingPromotion] = useState(false);
+  const [showAllHistory, setShowAllHistory] = useState(false);
   const { start, end } = useMemo(() => getWeeklyWindow(new Date(nowMs), settings?.wakeTime), [nowMs, settings?.wakeTime]);
   const { start: dailyStart, end: dailyEnd } = useMemo(
     () => getDailyWindow(new Date(nowMs), settings?.wakeTime),
@@ -441,14 +476,15 @@ export default function DoDifferent({
         windowEndMs: endMs,
       });
 
+      const archived = existing ? archiveChallenge(prev, "weekly", existing, closingStatus(existing), nowMs) : prev;
       if (!next) {
         if (!existing || existing.expiresAt <= nowMs) {
-          return { ...prev, weeklyChallenge: existing ? { ...existing, status: "expired" } : null };
+          return { ...archived, weeklyChallenge: existing ? { ...existing, status: closingStatus(existing) } : null };
         }
         return prev;
       }
 
-      return { ...prev, weeklyChallenge: next };
+      return { ...archived, weeklyChallenge: next };
     });
   }, [setState, start, end, nowMs]);
 
@@ -472,14 +508,15 @@ export default function DoDifferent({
         windowEnd: dailyEnd,
       });
 
+      const archived = existing ? archiveChallenge(prev, "mystery", existing, closingStatus(existing), nowMs) : prev;
       if (!next) {
         if (!existing || isExpired) {
-          return { ...prev, mysteryBox: existing ? { ...existing, status: "expired" } : null };
+          return { ...archived, mysteryBox: existing ? { ...existing, status: closingStatus(existing) } : null };
         }
         return prev;
       }
 
-      return { ...prev, mysteryBox: next };
+      return { ...archived, mysteryBox: next };
     });
   }, [setState, dailyStart, dailyEnd, nowMs]);
 
@@ -497,6 +534,20 @@ export default function DoDifferent({
       : "bg-violet-100 text-violet-800";
 
   const endsLabel = challenge ? formatEndsIn(nowMs, challenge.expiresAt) : "";
+  const progress = useMemo(() => weeklyChallengeProgress(challenge, state.days), [challenge, state.days]);
+  const canComplete = statusLabel === "Active" && !!progress?.met;
+  const challengeQuest = challenge ? state.quests.find((q) => q.id === challenge.taskId) : null;
+  // A passed quantity challenge can carry the quest's target up to the challenged
+  // value; the preview is what completing with a promotion will apply.
+  const promotionPreview =
+    progress?.type === "quantity" && challengeQuest ? promoteQuestTarget(challengeQuest, challenge.meta.value).event : null;
+  const progressLabel = !progress
+    ? ""
+    : progress.type === "quantity"
+    ? progress.logged
+      ? `Best logged: ${progress.current} of ${challenge.target}`
+      : `Log the amount you did when completing ${challenge.title} to count toward ${challenge.target}`
+    : `${progress.current} / ${progress.required} days completed`;
 
   const mystery = state.mysteryBox;
   const mysteryExpiresAtMs = mystery?.expiresAt ? new Date(mystery.expiresAt).getTime() : 0;
@@ -527,6 +578,7 @@ export default function DoDifferent({
 
   const handleReroll = () => {
     if (!mystery || mystery.rerollUsed || mysteryStatusLabel !== "Active") return;
+    if (isHardcore(settings)) return;
     setState((prev) => {
       const next = buildMysteryBox({
         quests: prev.quests || [],
@@ -536,7 +588,7 @@ export default function DoDifferent({
       });
       if (!next) return prev;
       return {
-        ...prev,
+        ...archiveChallenge(prev, "mystery", prev.mysteryBox, "rerolled"),
         mysteryBox: {
           ...next,
           rerollUsed: true,
@@ -553,66 +605,95 @@ export default function DoDifferent({
       const current = prev.mysteryBox;
       if (!current || current.status !== "active") return prev;
       const day = prev.days[dateKey] || { completed: {}, earnedXP: 0, xpDebt: 0, note: "", debtApplied: false };
-      let credited = current.xpReward || 0;
-      let newDebt = day.xpDebt || 0;
-      if (credited > 0 && prev.settings.xpDebtEnabled && newDebt > 0) {
-        const pay = Math.min(newDebt, credited);
-        newDebt -= pay;
-        credited -= pay;
-      }
-      const updatedDay = {
-        ...day,
-        earnedXP: Math.max(0, (day.earnedXP || 0) + credited),
-        xpDebt: newDebt,
-      };
-      return {
-        ...prev,
-        totalXP: Math.max(0, prev.totalXP + credited),
-        xpByDay: incrementXpByDay(prev.xpByDay, dateKey, credited),
-        days: { ...prev.days, [dateKey]: updatedDay },
-        mysteryBox: {
-          ...current,
-          status: "completed",
-          completedAt: new Date().toISOString(),
-        },
+      const xpAwarded = rewardsBlockedByPenalty(day, prev.settings) ? 0 : applyStreakBonus(current.xpReward || 0, streakBonusPct);
+      const activity = rewardEvents(
+        "challenge_completed",
+        { challengeId: current.id, kind: "mystery", label: current.title },
+        xpAwarded,
+        { day, settings: prev.settings }
+      );
+      const mysteryBox = {
+        ...current,
+        status: "completed",
+        completedAt: new Date().toISOString(),
+        xpAwarded,
+        modifiers: [formatStreakModifier(streakBonusPct)].filter(Boolean),
       };
+      return { ...archiveChallenge(recordActivity(prev, dateKey, activity), "mystery", mysteryBox, "completed"), mysteryBox };
     });
   };
 
-  const handleComplete = () => {
-    if (!challenge || challenge.status !== "active") return;
+  const archive = useMemo(() => [...(state.challengeArchive || [])].sort((a, b) => b.closedAt - a.closedAt), [state.challengeArchive]);
+  const archiveStats = useMemo(() => challengeStats(archive), [archive]);
+  const visibleHistory = showAllHistory ? archive : archive.slice(0, RECENT_HISTORY_COUNT);
+  const historyTone = (status) =>
+    status === "completed"
+      ? isDark
+        ? "bg-emerald-900/40 text-emerald-200"
+        : "bg-emerald-100 text-emerald-800"
+      : status === "rerolled"
+      ? isDark
+        ? "bg-amber-900/40 text-amber-200"
+        : "bg-amber-100 text-amber-800"
+      : isDark
+      ? "bg-zinc-800 text-zinc-200"
+      : "bg-zinc-100 text-zinc-600";
+
+  const streakLabel = (item) => {
+    const modifier = item?.modifiers ? item.modifiers.join(" · ") : formatStreakModifier(streakBonusPct);
+    return modifier ? `${item.xpReward} base · ${modifier}` : "";
+  };
+
+  const completeChallenge = (promote) => {
+    setConfirmingPromotion(false);
+    if (!canComplete) return;
     if (nowMs >= challenge.expiresAt) return;
 
     setState((prev) => {
       const current = prev.weeklyChallenge;
       if (!current || current.status !== "active") return prev;
+      if (!weeklyChallengeProgress(current, prev.days)?.met) return prev;
       const day = prev.days[dateKey] || { completed: {}, earnedXP: 0, xpDebt: 0, note: "", debtApplied: false };
-      let credited = current.xpReward || 0;
-      let newDebt = day.xpDebt || 0;
-      if (credited > 0 && prev.settings.xpDebtEnabled && newDebt > 0) {
-        const pay = Math.min(newDebt, credited);
-        newDebt -= pay;
-        credited -= pay;
+      const xpAwarded = rewardsBlockedByPenalty(day, prev.settings) ? 0 : applyStreakBonus(current.xpReward || 0, streakBonusPct);
+      const activity = rewardEvents(
+        "challenge_completed",
+        { challengeId: current.id, kind: "weekly", label: current.title },
+        xpAwarded,
+        { day, settings: prev.settings }
+      );
+      let next = recordActivity(prev, dateKey, activity);
+      let promotion = null;
+      if (promote && current.meta?.type === "quantity") {
+        const quest = next.quests.find((q) => q.id === current.taskId);
+        const result = promoteQuestTarget(quest, current.meta.value);
+        if (result.event) {
+          const today = next.days[dateKey];
+          next = {
+            ...next,
+            quests: next.quests.map((q) => (q.id === quest.id ? result.quest : q)),
+            days: { ...next.days, [dateKey]: { ...today, events: [...(today.events || []), result.event] } },
+          };
+          promotion = { from: result.event.from, to: result.event.to };
+        }
       }
-      const updatedDay = {
-        ...day,
-        earnedXP: Math.max(0, (day.earnedXP || 0) + credited),
-        xpDebt: newDebt,
-      };
-      return {
-        ...prev,
-        totalXP: Math.max(0, prev.totalXP + credited),
-        xpByDay: incrementXpByDay(prev.xpByDay, dateKey, credited),
-        days: { ...prev.days, [dateKey]: updatedDay },
-        weeklyChallenge: {
-          ...current,
-          status: "completed",
-          completedAt: Date.now(),
-        },
+      const weeklyChallenge = {
+        ...current,
+        status: "completed",
+        completedAt: Date.now(),
+        xpAwarded,
+        modifiers: [formatStreakModifier(streakBonusPct)].filter(Boolean),
+        ...(promotion ? { promotion } : {}),
       };
+      return { ...archiveChallenge(next, "weekly", weeklyChallenge, "completed"), weeklyChallenge };
     });
   };
 
+  const handleComplete = () => {
+    if (!canComplete) return;
+    if (promotionPreview) setConfirmingPromotion(true);
+    else completeChallenge(false);
+  };
+
   return (
     <div className="space-y-4">
       <div>
@@ -645,12 +726,31 @@ export default function DoDifferent({
                 <div className="mt-2 text-base font-extrabold">
                   {challenge.title}: {challenge.target}
                 </div>
+                {progress ? (
+                  <div className="mt-3">
+                    <div className={cx("h-2 overflow-hidden rounded-full", isDark ? "bg-zinc-800" : "bg-zinc-200")}>
+                      <div
+                        className={cx("h-full rounded-full transition-all", progress.met ? "bg-emerald-500" : "bg-violet-500")}
+                        style={{ width: `${Math.round(progress.pct * 100)}%` }}
+                      />
+                    </div>
+                    <div className={cx("mt-1 text-xs", textMuted)}>{progressLabel}</div>
+                  </div>
+                ) : null}
+                {challenge.promotion ? (
+                  <div className={cx("mt-2 text-xs font-semibold", isDark ? "text-emerald-300" : "text-emerald-700")}>
+                    Target raised: {challenge.promotion.from} → {challenge.promotion.to}
+                  </div>
+                ) : null}
               </div>
 
               <div className="flex flex-wrap items-center gap-3">
                 <div className={cx("rounded-xl border px-3 py-2 text-sm font-bold", border)}>
-                  +{challenge.xpReward} XP
+                  +{challenge.xpAwarded ?? applyStreakBonus(challenge.xpReward, streakBonusPct)} XP
                 </div>
+                {streakLabel(challenge) ? (
+                  <div className={cx("text-xs font-semibold", textMuted)}>{streakLabel(challenge)}</div>
+                ) : null}
                 <div className={cx("text-xs font-semibold", textMuted)}>{endsLabel}</div>
               </div>
             </>
@@ -661,15 +761,47 @@ export default function DoDifferent({
           )}
         </div>
 
-        {challenge ? (
+        {challenge && confirmingPromotion && canComplete && promotionPreview ? (
+          <div className={cx("mt-4 rounded-xl border p-3", border)}>
+            <div className="text-sm font-bold">Raise the target for {challenge.title}?</div>
+            <div className={cx("mt-1 text-xs", textMuted)}>
+              You hit the trial target. Your daily target goes from {promotionPreview.from} to {promotionPreview.to} and
+              progression carries on from there. You get the XP either way.
+            </div>
+            <div className="mt-3 grid grid-cols-2 gap-2">
+              <button
+                type="button"
+                onClick={() => completeChallenge(false)}
+                className={cx(
+                  "inline-flex items-center justify-center rounded-xl px-3 py-2 text-sm font-medium transition active:scale-[0.99]",
+                  isDark
+                    ? "border border-zinc-800 bg-zinc-900 text-zinc-200 hover:bg-zinc-800"
+                    : "border border-zinc-200 bg-white text-zinc-700 hover:bg-zinc-50"
+                )}
+              >
+                Keep current target
+              </button>
+              <button
+                type="button"
+                onClick={() => completeChallenge(true)}
+                className={cx(
+                  "inline-flex items-center justify-center rounded-xl px-3 py-2 text-sm font-medium transition active:scale-[0.99]",
+                  isDark ? "bg-zinc-100 text-zinc-900 hover:bg-white" : "bg-zinc-900 text-white hover:bg-zinc-800"
+                )}
+              >
+                Raise target
+              </button>
+            </div>
+          </div>
+        ) : challenge ? (
           <div className="mt-4">
             <button
               type="button"
               onClick={handleComplete}
-              disabled={statusLabel !== "Active"}
+              disabled={!canComplete}
               className={cx(
                 "inline-flex w-full items-center justify-center gap-2 rounded-xl px-3 py-2 text-sm font-medium transition active:scale-[0.99] disabled:cursor-not-allowed disabled:opacity-50",
-                statusLabel === "Active"
+                canComplete
                   ? isDark
                     ? "bg-zinc-100 text-zinc-900 hover:bg-white"
                     : "bg-zinc-900 text-white hover:bg-zinc-800"
@@ -678,7 +810,7 @@ export default function DoDifferent({
                   : "border border-zinc-200 bg-white text-zinc-500"
               )}
             >
-              Complete Weekly Challenge
+              {statusLabel === "Active" && !progress?.met ? "Keep going to unlock" : "Complete Weekly Challenge"}
             </button>
           </div>
         ) : null}
@@ -715,8 +847,11 @@ export default function DoDifferent({
               </div>
               <div className="flex flex-wrap items-center gap-3">
                 <div className={cx("rounded-xl border px-3 py-2 text-sm font-bold", border)}>
-                  +{mystery.xpReward} XP
+                  +{mystery.xpAwarded ?? applyStreakBonus(mystery.xpReward, streakBonusPct)} XP
                 </div>
+                {streakLabel(mystery) ? (
+                  <div className={cx("text-xs font-semibold", textMuted)}>{streakLabel(mystery)}</div>
+                ) : null}
                 <div className={cx("text-xs font-semibold", textMuted)}>{resetsLabel}</div>
                 {mystery.rerollUsed ? (
                   <div className={cx("text-xs font-semibold", textMuted)}>Reroll used</div>
@@ -774,7 +909,9 @@ export default function DoDifferent({
                 Complete Mystery
               </button>
             )}
-            {!mystery.rerollUsed ? (
+            {isHardcore(settings) ? (
+              <div className={cx("text-center text-xs font-semibold", textMuted)}>Hardcore: no rerolls</div>
+            ) : !mystery.rerollUsed ? (
               <button
                 type="button"
                 onClick={handleReroll}
@@ -792,6 +929,104 @@ export default function DoDifferent({
           </div>
         ) : null}
       </div>
+
+      <div className={cx("rounded-2xl border p-4 shadow-sm", border, surface)}>
+        <div className="text-sm font-extrabold">Challenge History</div>
+        <div className={cx("mt-1 text-xs", textMuted)}>Every weekly challenge and mystery box once it ends.</div>
+
+        {archive.length ? (
+          <div className="mt-4 space-y-4">
+            <div className="grid grid-cols-3 gap-2">
+              {[
+                { label: "Weekly", value: `${archiveStats.weekly.rate}%`, hint: `${archiveStats.weekly.completed}/${archiveStats.weekly.total} done` },
+                { label: "Mystery", value: `${archiveStats.mystery.rate}%`, hint: `${archiveStats.mystery.completed}/${archiveStats.mystery.total} done` },
+                { label: "XP earned", value: archiveStats.xp, hint: "From challenges" },
+              ].map((tile) => (
+                <div key={tile.label} className={cx("rounded-xl border p-2 text-center", border)}>
+                  <div className={cx("text-[11px]", textMuted)}>{tile.label}</div>
+                  <div className="text-lg font-black">{tile.value}</div>
+                  <div className={cx("text-[11px]", textMuted)}>{tile.hint}</div>
+                </div>
+              ))}
+            </div>
+
+            {archiveStats.favourite || archiveStats.avoided ? (
+              <div className="grid gap-2 sm:grid-cols-2">
+                {archiveStats.favourite ? (
+                  <div className={cx("rounded-xl border p-3 text-xs", border)}>
+                    <div className={cx("font-semibold uppercase tracking-[0.2em]", textMuted)}>Favourite twist</div>
+                    <div className="mt-1 text-sm font-bold">{templateLabel("mystery", archiveStats.favourite.templateId)}</div>
+                    <div className={textMuted}>
+                      {archiveStats.favourite.completed}/{archiveStats.favourite.total} completed
+                    </div>
+                  </div>
+                ) : null}
+                {archiveStats.avoided ? (
+                  <div className={cx("rounded-xl border p-3 text-xs", border)}>
+                    <div className={cx("font-semibold uppercase tracking-[0.2em]", textMuted)}>Avoided twist</div>
+                    <div className="mt-1 text-sm font-bold">{templateLabel("mystery", archiveStats.avoided.templateId)}</div>
+                    <div className={textMuted}>
+                      {archiveStats.avoided.rerolled} rerolled · {archiveStats.avoided.expired} expired of {archiveStats.avoided.total}
+                    </div>
+                  </div>
+                ) : null}
+              </div>
+            ) : null}
+
+            <div>
+              <div className={cx("text-xs font-semibold uppercase tracking-[0.2em]", textMuted)}>By template</div>
+              <div className="mt-2 space-y-2">
+                {archiveStats.templates.map((row) => (
+                  <div key={`${row.kind}:${row.templateId}`}>
+                    <div className="flex items-center justify-between gap-2 text-xs">
+                      <span className="font-semibold">{templateLabel(row.kind, row.templateId)}</span>
+                      <span className={textMuted}>
+                        {row.completed}/{row.total} · {row.rate}%
+                      </span>
+                    </div>
+                    <div className={cx("mt-1 h-1.5 overflow-hidden rounded-full", isDark ? "bg-zinc-800" : "bg-zinc-200")}>
+                      <div className="h-full rounded-full bg-violet-500" style={{ width: `${row.rate}%` }} />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <div className={cx("text-xs font-semibold uppercase tracking-[0.2em]", textMuted)}>Recent</div>
+              <div className="mt-2 space-y-2">
+                {visibleHistory.map((entry) => (
+                  <div key={entry.id} className={cx("rounded-xl border p-3", border)}>
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className="text-sm font-bold">
+                          {entry.kind === "weekly" ? `${entry.title}: ${entry.target}` : entry.target}
+                        </div>
+                        <div className={cx("mt-1 text-xs", textMuted)}>
+                          {templateLabel(entry.kind, entry.templateId)} · {new Date(entry.createdAt).toLocaleDateString()}
+                          {entry.xp ? ` · +${entry.xp} XP` : ` · ${entry.xpReward} XP on offer`}
+                        </div>
+                      </div>
+                      <span className={cx("inline-flex shrink-0 items-center rounded-full px-2.5 py-1 text-xs font-semibold capitalize", historyTone(entry.status))}>
+                        {entry.status}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              {archive.length > RECENT_HISTORY_COUNT ? (
+                <button type="button" onClick={() => setShowAllHistory((v) => !v)} className={cx("mt-2 text-xs font-semibold", textMuted)}>
+                  {showAllHistory ? "Show recent only" : `Show all ${archive.length}`}
+                </button>
+              ) : null}
+            </div>
+          </div>
+        ) : (
+          <div className={cx("mt-4 rounded-xl border p-3 text-xs", border, textMuted)}>
+            Finished, expired and rerolled challenges will show up here.
+          </div>
+        )}
+      </div>
     </div>
   );
 }
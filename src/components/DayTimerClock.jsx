@@ -27,7 +27,18 @@ function fmtMinToHHMM(min) {
   return `${pad2(h)}:${pad2(mm)}`;
 }
 
-export function DayTimerClock({ wakeTime, bedTime, isDark, border, surface, textMuted, Card }) {
+export function DayTimerClock({
+  wakeTime,
+  bedTime,
+  cooldownUntilMs,
+  cooldownLabel,
+  isDark,
+  border,
+  surface,
+  textMuted,
+  Card,
+  slots = [],
+}) {
   const [now, setNow] = useState(() => new Date());
   const [showAnalog, setShowAnalog] = useState(false);
   const [showLegend, setShowLegend] = useState(false);
@@ -92,6 +103,19 @@ export function DayTimerClock({ wakeTime, bedTime, isDark, border, surface, text
   const lineLen = r + 6;
 
   const leftStrBig = `${leftH}h ${pad2(leftM)}m`;
+
+  // Slot minutes come in as time of day; shift them like nowMin so they compare.
+  const overdueSlots = slots.filter((slot) => slot.overdue);
+  const nextSlot = slots
+    .filter((slot) => !slot.done && !slot.overdue)
+    .map((slot) => ({ ...slot, at: slot.minute < wakeMin ? slot.minute + 1440 : slot.minute }))
+    .filter((slot) => slot.at >= nowMin)
+    .sort((a, b) => a.at - b.at)[0];
+  const slotColor = (slot) => (slot.done ? (isDark ? "#71717a" : "#a1a1aa") : slot.overdue ? "#f59e0b" : lineColor);
+  const slotDot = 10;
+
+  const cooldownLeftMin = cooldownUntilMs ? Math.max(0, Math.ceil((cooldownUntilMs - now.getTime()) / 60000)) : 0;
+  const cooldownStr = `${Math.floor(cooldownLeftMin / 60)}h ${pad2(cooldownLeftMin % 60)}m`;
   const onPointerDown = (e) => {
     if (e.pointerType !== "touch" && e.pointerType !== "mouse") return;
     swipeStartRef.current = { x: e.clientX, y: e.clientY };
@@ -157,6 +181,9 @@ export function DayTimerClock({ wakeTime, bedTime, isDark, border, surface, text
           <div className="font-semibold">How the timer works</div>
           <div className="mt-1">Timer starts at your wake time and ends at bedtime.</div>
           <div className="mt-1">Tasks completed after the timer ends will not be accepted (sleep time).</div>
+          {slots.length ? (
+            <div className="mt-1">Dots on the timer face mark quest time slots: amber is overdue, grey is done.</div>
+          ) : null}
         </div>
       ) : null}
 
@@ -190,6 +217,21 @@ export function DayTimerClock({ wakeTime, bedTime, isDark, border, surface, text
                   ? `Day complete • Sleep time ${fmtMinToHHMM(bedMin)}`
                   : "Keep going."}
               </div>
+              {overdueSlots.length ? (
+                <div className={cx("mt-2 text-xs font-semibold", isDark ? "text-amber-400" : "text-amber-600")}>
+                  {overdueSlots.length} quest slot{overdueSlots.length === 1 ? "" : "s"} overdue
+                </div>
+              ) : null}
+              {nextSlot ? (
+                <div className={cx("mt-1 text-xs", textMuted)}>
+                  Next up: {nextSlot.label} • {fmtMinToHHMM(nextSlot.minute)}
+                </div>
+              ) : null}
+              {cooldownLeftMin > 0 ? (
+                <div className={cx("mt-2 text-xs font-semibold", isDark ? "text-amber-400" : "text-amber-600")}>
+                  {cooldownLabel || "Cooldown"} • {cooldownStr} left
+                </div>
+              ) : null}
             </div>
           ) : (
             <div className="relative mx-auto" style={{ width: size, height: size }}>
@@ -240,6 +282,26 @@ export function DayTimerClock({ wakeTime, bedTime, isDark, border, surface, text
                 />
               </div>
 
+              {slots.map((slot) => (
+                <div
+                  key={slot.id}
+                  className="absolute left-1/2 top-1/2"
+                  style={{ width: 0, height: 0, transform: `rotate(${(slot.minute / 1440) * 360}deg)`, zIndex: 3 }}
+                >
+                  <div
+                    className="rounded-full"
+                    title={`${slot.label} • ${fmtMinToHHMM(slot.minute)}${slot.done ? " • done" : slot.overdue ? " • overdue" : ""}`}
+                    style={{
+                      width: slotDot,
+                      height: slotDot,
+                      background: slotColor(slot),
+                      border: `2px solid ${ringBase}`,
+                      transform: `translate(-${slotDot / 2}px, -${r + slotDot / 2}px)`,
+                    }}
+                  />
+                </div>
+              ))}
+
               <div
                 className={cx(
                   "absolute left-1/2 top-1/2 h-3 w-3 -translate-x-1/2 -translate-y-1/2 rounded-full",
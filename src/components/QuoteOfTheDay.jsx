@@ -1,5 +1,6 @@
-import React, { useMemo } from "react";
+import React, { useEffect, useMemo } from "react";
 import { QUOTES } from "../data/quotes";
+import { readStorage, writeStorage } from "../storage/index.js";
 
 function fmtDateKey(d = new Date()) {
   const yyyy = d.getFullYear();
@@ -22,22 +23,21 @@ export default function QuoteOfTheDay({ isDark, border, surface, textMuted }) {
 
   const quote = useMemo(() => {
     if (!QUOTES.length) return null;
-    const storageKey = `quoteOfDay:${dayKey}`;
-    if (typeof window !== "undefined") {
-      const storedId = window.localStorage.getItem(storageKey);
-      if (storedId) {
-        const found = QUOTES.find((q) => q.id === storedId);
-        if (found) return found;
-      }
+    const storedId = readStorage("quotes", {})[dayKey];
+    if (storedId) {
+      const found = QUOTES.find((q) => q.id === storedId);
+      if (found) return found;
     }
     const idx = hashString(dayKey) % QUOTES.length;
-    const picked = QUOTES[idx];
-    if (typeof window !== "undefined" && picked?.id) {
-      window.localStorage.setItem(storageKey, picked.id);
-    }
-    return picked;
+    return QUOTES[idx];
   }, [dayKey]);
 
+  useEffect(() => {
+    if (!quote?.id || readStorage("quotes", {})[dayKey] === quote.id) return;
+    // Only today's pick is kept; older days are never shown again.
+    writeStorage("quotes", { [dayKey]: quote.id });
+  }, [dayKey, quote]);
+
   if (!quote) return null;
 
   return (
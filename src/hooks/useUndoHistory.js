@@ -0,0 +1,89 @@
+import { useEffect, useState } from "react";
+
+export const UNDO_LIMIT = 50;
+// Rapid edits to the same field (typing a quest name) collapse into one step.
+export const UNDO_COALESCE_MS = 1500;
+
+function emptyStacks(resetKey) {
+  return { resetKey, past: [], future: [] };
+}
+
+/**
+ * Snapshot-based undo/redo over `state`. Call `checkpoint(label)` right before
+ * a user action changes state; `undo()` / `redo()` swap whole snapshots and
+ * return the label of the step they reverted. History is dropped whenever
+ * `resetKey` changes (for example when the day rolls over).
+ */
+export function useUndoHistory(state, setState, { resetKey = null } = {}) {
+  const [stored, setStacks] = useState(() => emptyStacks(resetKey));
+  const stacks = stored.resetKey === resetKey ? stored : emptyStacks(resetKey);
+
+  function checkpoint(label, coalesceKey = null) {
+    const now = Date.now();
+    const top = stacks.past[stacks.past.length - 1];
+    if (coalesceKey && top?.coalesceKey === coalesceKey && now - top.at < UNDO_COALESCE_MS) {
+      setStacks({ ...stacks, past: [...stacks.past.slice(0, -1), { ...top, at: now }], future: [] });
+      return;
+    }
+    const past = [...stacks.past, { label, coalesceKey, at: now, state }].slice(-UNDO_LIMIT);
+    setStacks({ resetKey, past, future: [] });
+  }
+
+  function undo() {
+    const entry = stacks.past[stacks.past.length - 1];
+    if (!entry) return null;
+    setStacks({ resetKey, past: stacks.past.slice(0, -1), future: [...stacks.future, { ...entry, state }] });
+    setState(entry.state);
+    return entry.label;
+  }
+
+  function redo() {
+    const entry = stacks.future[stacks.future.length - 1];
+    if (!entry) return null;
+    setStacks({ resetKey, past: [...stacks.past, { ...entry, state }], future: stacks.future.slice(0, -1) });
+    setState(entry.state);
+    return entry.label;
+  }
+
+  function clear() {
+    setStacks(emptyStacks(resetKey));
+  }
+
+  return {
+    checkpoint,
+    undo,
+    redo,
+    clear,
+    canUndo: stacks.past.length > 0,
+    canRedo: stacks.future.length > 0,
+    undoLabel: stacks.past[stacks.past.length - 1]?.label || null,
+    redoLabel: stacks.future[stacks.future.length - 1]?.label || null,
+  };
+}
+
+function isTextInput(target) {
+  if (!target) return false;
+  if (target.isContentEditable) return true;
+  return ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+}
+
+/**
+ * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo. Text fields keep their
+ * native undo.
+ */
+export function useUndoShortcuts(onUndo, onRedo) {
+  useEffect(() => {
+    if (typeof window === "undefined") return undefined;
+    const handler = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextInput(e.target)) return;
+      const key = e.key.toLowerCase();
+      const redo = (key === "z" && e.shiftKey) || (key === "y" && e.ctrlKey && !e.shiftKey);
+      if (!redo && (key !== "z" || e.shiftKey)) return;
+      e.preventDefault();
+      if (redo) onRedo();
+      else onUndo();
+    };
+    window.addEventListener("keydown", handler);
+    return () => window.removeEventListener("keydown", handler);
+  }, [onUndo, onRedo]);
+}
@@ -2,9 +2,12 @@ import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import "./index.css";
 import Boot from "./Boot.jsx";
+import { initStorage } from "./storage/index.js";
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <Boot />
-  </StrictMode>,
-);
+initStorage().finally(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <Boot />
+    </StrictMode>,
+  );
+});
@@ -0,0 +1,31 @@
+// Backed by tauri-plugin-notification (registered in src-tauri/src/lib.rs); its
+// API is exposed on `window.__TAURI__` because the app sets `withGlobalTauri`.
+function tauriNotification() {
+  if (typeof window === "undefined") return null;
+  return window.__TAURI__?.notification || null;
+}
+
+// The plugin only reports granted or not, so a refusal is remembered for the
+// session. Backends are created per call, hence module scope.
+let refused = false;
+
+export function createTauriNotificationBackend() {
+  return {
+    name: "tauri",
+    isAvailable() {
+      return !!tauriNotification();
+    },
+    async permission() {
+      if (await tauriNotification().isPermissionGranted()) return "granted";
+      return refused ? "denied" : "default";
+    },
+    async requestPermission() {
+      const result = await tauriNotification().requestPermission();
+      refused = result === "denied";
+      return result;
+    },
+    async show({ title, body }) {
+      tauriNotification().sendNotification({ title, body });
+    },
+  };
+}
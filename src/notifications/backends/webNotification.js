@@ -0,0 +1,41 @@
+// The PWA shows notifications through the service worker registered by
+// vite-plugin-pwa; mobile browsers reject `new Notification()` from a page.
+// Without a worker (the dev server) the page-level constructor is used.
+function notificationApi() {
+  if (typeof window === "undefined") return null;
+  return window.Notification || null;
+}
+
+async function serviceWorkerRegistration() {
+  if (typeof navigator === "undefined" || !navigator.serviceWorker) return null;
+  try {
+    return (await navigator.serviceWorker.getRegistration()) || null;
+  } catch {
+    return null;
+  }
+}
+
+export function createWebNotificationBackend() {
+  return {
+    name: "web",
+    isAvailable() {
+      return !!notificationApi();
+    },
+    async permission() {
+      return notificationApi().permission;
+    },
+    async requestPermission() {
+      return notificationApi().requestPermission();
+    },
+    async show({ title, body, tag }) {
+      const options = { body, tag, icon: "/pwa-192.png", badge: "/pwa-192.png" };
+      const registration = await serviceWorkerRegistration();
+      if (registration) {
+        await registration.showNotification(title, options);
+        return;
+      }
+      const Api = notificationApi();
+      new Api(title, options);
+    },
+  };
+}
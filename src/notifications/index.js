@@ -0,0 +1,98 @@
+import { readStorage, writeStorage } from "../storage/index.js";
+import { createTauriNotificationBackend } from "./backends/tauriNotification.js";
+import { createWebNotificationBackend } from "./backends/webNotification.js";
+
+// Sent reminders are remembered this long so a reload doesn't repeat them.
+export const SENT_LOG_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+const SENT_LOG_KEY = "notificationLog";
+
+let deliveryChain = Promise.resolve([]);
+
+/** Per-device reminder settings; lead times of 0 turn that reminder off. */
+export function defaultNotificationConfig() {
+  return { enabled: false, slots: true, bedtimeMinutes: 60, challengeHours: 12, timerMinutes: 5 };
+}
+
+function leadTime(value, fallback, max) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(max, Math.max(0, n)) : fallback;
+}
+
+export function normalizeNotificationConfig(raw) {
+  const base = defaultNotificationConfig();
+  if (!raw || typeof raw !== "object") return base;
+  return {
+    enabled: !!raw.enabled,
+    slots: typeof raw.slots === "boolean" ? raw.slots : base.slots,
+    bedtimeMinutes: leadTime(raw.bedtimeMinutes, base.bedtimeMinutes, 240),
+    challengeHours: leadTime(raw.challengeHours, base.challengeHours, 72),
+    timerMinutes: leadTime(raw.timerMinutes, base.timerMinutes, 60),
+  };
+}
+
+export function defaultNotificationBackends() {
+  return [createTauriNotificationBackend(), createWebNotificationBackend()];
+}
+
+export function notificationBackend(backends = defaultNotificationBackends()) {
+  return backends.find((candidate) => candidate.isAvailable()) || null;
+}
+
+/** Resolves to "granted", "denied", "default" or "unsupported". */
+export async function notificationPermission() {
+  const backend = notificationBackend();
+  if (!backend) return "unsupported";
+  try {
+    return await backend.permission();
+  } catch {
+    return "default";
+  }
+}
+
+export async function requestNotificationPermission() {
+  const backend = notificationBackend();
+  if (!backend) return "unsupported";
+  try {
+    return await backend.requestPermission();
+  } catch (error) {
+    console.error(`Notification backend ${backend.name} refused the permission request`, error);
+    return "denied";
+  }
+}
+
+export async function showNotification({ title, body = "", tag = "" }) {
+  const backend = notificationBackend();
+  if (!backend || (await notificationPermission()) !== "granted") return false;
+  try {
+    await backend.show({ title, body, tag });
+    return true;
+  } catch (error) {
+    console.error(`Notification backend ${backend.name} failed to show a notification`, error);
+    return false;
+  }
+}
+
+async function deliver(reminders, now) {
+  const log = readStorage(SENT_LOG_KEY, {});
+  const pending = reminders.filter((reminder) => !log[reminder.key]);
+  if (!pending.length) return [];
+  const next = Object.fromEntries(Object.entries(log).filter(([, at]) => now - at < SENT_LOG_TTL_MS));
+  const sent = [];
+  for (const reminder of pending) {
+    if (!(await showNotification({ title: reminder.title, body: reminder.body, tag: reminder.key }))) continue;
+    next[reminder.key] = now;
+    sent.push(reminder.key);
+  }
+  if (sent.length) writeStorage(SENT_LOG_KEY, next);
+  return sent;
+}
+
+/**
+ * Shows each reminder whose `key` hasn't been sent yet and records it, so the
+ * same reminder fires once per device even across reloads. Calls are queued so
+ * overlapping checks never send a reminder twice.
+ */
+export function deliverReminders(reminders, now = Date.now()) {
+  deliveryChain = deliveryChain.then(() => deliver(reminders, now)).catch(() => []);
+  return deliveryChain;
+}
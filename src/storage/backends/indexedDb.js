@@ -0,0 +1,118 @@
+const DB_NAME = "lvlup";
+const DB_VERSION = 2;
+const DOCUMENT_STORE = "documents";
+const DAY_STORE = "days";
+const DOCUMENT_ID = "main";
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function openDatabase(factory) {
+  const request = factory.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(DOCUMENT_STORE)) db.createObjectStore(DOCUMENT_STORE);
+    if (!db.objectStoreNames.contains(DAY_STORE)) db.createObjectStore(DAY_STORE, { keyPath: "key" });
+  };
+  return requestToPromise(request);
+}
+
+// `days` and `xpByDay` live in one record per day key; the main record keeps
+// everything else so a completion only rewrites the day it touched.
+function splitDocument(doc) {
+  const game = doc.game ? { ...doc.game, days: {}, xpByDay: {} } : null;
+  return { ...doc, game, dayRecords: true };
+}
+
+function joinDocument(main, records) {
+  const { dayRecords: _dayRecords, ...doc } = main;
+  if (!doc.game) return doc;
+  const days = {};
+  const xpByDay = {};
+  for (const record of records) {
+    if (record.entry != null) days[record.key] = record.entry;
+    if (record.xp != null) xpByDay[record.key] = record.xp;
+  }
+  return { ...doc, game: { ...doc.game, days, xpByDay } };
+}
+
+function dayKeys(game) {
+  return new Set([...Object.keys(game?.days || {}), ...Object.keys(game?.xpByDay || {})]);
+}
+
+export function diffDayRecords(prevGame, nextGame) {
+  const prevDays = prevGame?.days || {};
+  const prevXp = prevGame?.xpByDay || {};
+  const nextDays = nextGame?.days || {};
+  const nextXp = nextGame?.xpByDay || {};
+  const nextKeys = dayKeys(nextGame);
+  const put = [];
+  for (const key of nextKeys) {
+    if (nextDays[key] === prevDays[key] && nextXp[key] === prevXp[key]) continue;
+    put.push({ key, entry: nextDays[key] ?? null, xp: nextXp[key] ?? null });
+  }
+  const remove = [...dayKeys(prevGame)].filter((key) => !nextKeys.has(key));
+  return { put, remove };
+}
+
+export function createIndexedDbBackend(factory = typeof window !== "undefined" ? window.indexedDB : null) {
+  let dbPromise = null;
+  let lastSaved = null;
+  const db = () => {
+    if (!dbPromise) dbPromise = openDatabase(factory);
+    return dbPromise;
+  };
+
+  return {
+    name: "indexedDB",
+    isAvailable() {
+      return !!factory;
+    },
+    async load() {
+      const conn = await db();
+      const tx = conn.transaction([DOCUMENT_STORE, DAY_STORE], "readonly");
+      const done = transactionDone(tx);
+      const [main, records] = await Promise.all([
+        requestToPromise(tx.objectStore(DOCUMENT_STORE).get(DOCUMENT_ID)),
+        requestToPromise(tx.objectStore(DAY_STORE).getAll()),
+      ]);
+      await done;
+      if (!main) return null;
+      // Version 1 stored the whole document as one blob; the next save splits it.
+      if (!main.dayRecords) return main;
+      lastSaved = joinDocument(main, records);
+      return lastSaved;
+    },
+    async save(doc) {
+      const conn = await db();
+      const { put, remove } = diffDayRecords(lastSaved?.game, doc.game);
+      const tx = conn.transaction([DOCUMENT_STORE, DAY_STORE], "readwrite");
+      const days = tx.objectStore(DAY_STORE);
+      tx.objectStore(DOCUMENT_STORE).put(splitDocument(doc), DOCUMENT_ID);
+      for (const record of put) days.put(record);
+      for (const key of remove) days.delete(key);
+      await transactionDone(tx);
+      lastSaved = doc;
+    },
+    async clear() {
+      const conn = await db();
+      const tx = conn.transaction([DOCUMENT_STORE, DAY_STORE], "readwrite");
+      tx.objectStore(DOCUMENT_STORE).clear();
+      tx.objectStore(DAY_STORE).clear();
+      await transactionDone(tx);
+      lastSaved = null;
+    },
+  };
+}
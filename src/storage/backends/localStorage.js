@@ -0,0 +1,48 @@
+export const LOCAL_STORAGE_DOCUMENT_KEY = "lvlup_document";
+// Browsers cap localStorage at roughly 5 MB (UTF-16) per origin; stay under it.
+export const LOCAL_STORAGE_BUDGET_CHARS = 4_500_000;
+
+export class StorageQuotaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StorageQuotaError";
+  }
+}
+
+function isQuotaError(error) {
+  return error?.name === "QuotaExceededError" || error?.name === "NS_ERROR_DOM_QUOTA_REACHED" || error?.code === 22;
+}
+
+export function createLocalStorageBackend(store = typeof window !== "undefined" ? window.localStorage : null) {
+  function write(raw) {
+    if (raw.length > LOCAL_STORAGE_BUDGET_CHARS) return false;
+    try {
+      store.setItem(LOCAL_STORAGE_DOCUMENT_KEY, raw);
+      return true;
+    } catch (error) {
+      if (isQuotaError(error)) return false;
+      throw error;
+    }
+  }
+
+  return {
+    name: "localStorage",
+    isAvailable() {
+      return !!store;
+    },
+    async load() {
+      const raw = store.getItem(LOCAL_STORAGE_DOCUMENT_KEY);
+      return raw ? JSON.parse(raw) : null;
+    },
+    // The profile photo is a data URL and usually the largest value, so it is
+    // the first thing dropped when the document no longer fits.
+    async save(doc) {
+      if (write(JSON.stringify(doc))) return { degraded: null };
+      if (doc.playerPhoto && write(JSON.stringify({ ...doc, playerPhoto: "" }))) return { degraded: "photo" };
+      throw new StorageQuotaError("Saved data no longer fits in browser storage.");
+    },
+    async clear() {
+      store.removeItem(LOCAL_STORAGE_DOCUMENT_KEY);
+    },
+  };
+}
@@ -0,0 +1,25 @@
+// Backed by the `load_document` / `save_document` commands in src-tauri/src/lib.rs,
+// which keep the document as a JSON file in the app data directory.
+function tauriInvoke() {
+  if (typeof window === "undefined") return null;
+  return window.__TAURI__?.core?.invoke || null;
+}
+
+export function createTauriFileBackend() {
+  return {
+    name: "tauriFile",
+    isAvailable() {
+      return !!tauriInvoke();
+    },
+    async load() {
+      const raw = await tauriInvoke()("load_document");
+      return raw ? JSON.parse(raw) : null;
+    },
+    async save(doc) {
+      await tauriInvoke()("save_document", { contents: JSON.stringify(doc) });
+    },
+    async clear() {
+      await tauriInvoke()("save_document", { contents: "" });
+    },
+  };
+}
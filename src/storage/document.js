@@ -0,0 +1,38 @@
+export const DOCUMENT_VERSION = 1;
+
+export function createEmptyDocument() {
+  return {
+    version: DOCUMENT_VERSION,
+    updatedAt: null,
+    game: null,
+    profile: null,
+    selectedCategories: [],
+    onboardingComplete: false,
+    playerPhoto: "",
+    joinDate: null,
+    quotes: {},
+    sync: null,
+    syncMeta: null,
+    notifications: null,
+    notificationLog: {},
+  };
+}
+
+// Upgrades older documents in place; each step bumps `version` by one.
+const UPGRADES = {};
+
+export function migrateDocument(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  let doc = { ...createEmptyDocument(), ...raw };
+  let version = Number(doc.version) || 1;
+  while (version < DOCUMENT_VERSION) {
+    const upgrade = UPGRADES[version];
+    if (!upgrade) break;
+    doc = upgrade(doc);
+    version += 1;
+  }
+  if (version > DOCUMENT_VERSION) {
+    throw new Error(`Saved data is from a newer version (${version}) of the app.`);
+  }
+  return { ...doc, version: DOCUMENT_VERSION };
+}
@@ -0,0 +1,167 @@
+import { createIndexedDbBackend } from "./backends/indexedDb.js";
+import { createLocalStorageBackend } from "./backends/localStorage.js";
+import { createTauriFileBackend } from "./backends/tauriFile.js";
+import { DOCUMENT_VERSION, createEmptyDocument, migrateDocument } from "./document.js";
+import { clearLegacyKeys, readLegacyDocument } from "./legacy.js";
+
+export { DOCUMENT_VERSION, createEmptyDocument } from "./document.js";
+
+// State changes every second while a quest timer runs; coalesce them.
+export const WRITE_DEBOUNCE_MS = 500;
+
+let candidates = [];
+let backend = null;
+let doc = createEmptyDocument();
+let writeChain = Promise.resolve();
+let saveTimer = null;
+let status = { degraded: null, error: null };
+
+function legacyStore() {
+  if (typeof window === "undefined") return null;
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+export function defaultBackends() {
+  return [createTauriFileBackend(), createIndexedDbBackend(), createLocalStorageBackend()];
+}
+
+// Every available backend is read: a save that fell back to a lower-priority
+// backend (for example localStorage while IndexedDB was full) leaves the newer
+// copy there, so the active backend's own copy can't be trusted blindly.
+async function loadAllBackends(list) {
+  const opened = [];
+  for (const candidate of list) {
+    if (!candidate.isAvailable()) continue;
+    try {
+      opened.push({ backend: candidate, loaded: await candidate.load() });
+    } catch (error) {
+      console.error(`Storage backend ${candidate.name} failed to load`, error);
+    }
+  }
+  return opened;
+}
+
+// The most recently written copy wins; on a tie the higher-priority backend does.
+function newestDocument(opened) {
+  let newest = null;
+  for (const entry of opened) {
+    if (!entry.loaded) continue;
+    if (!newest || String(entry.loaded.updatedAt || "") > String(newest.loaded.updatedAt || "")) newest = entry;
+  }
+  return newest;
+}
+
+function installFlushOnHide() {
+  if (typeof window === "undefined" || typeof document === "undefined") return;
+  window.addEventListener("pagehide", () => flushStorage());
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flushStorage();
+  });
+}
+
+/**
+ * Loads the document from the first working backend. Must resolve before the
+ * app renders so that every read afterwards is synchronous.
+ */
+export async function initStorage({ backends = defaultBackends() } = {}) {
+  candidates = backends;
+  const opened = await loadAllBackends(backends);
+  backend = opened[0]?.backend || null;
+  const store = legacyStore();
+  const newest = newestDocument(opened);
+  // A newer copy sitting in another backend is adopted by the active one.
+  const stranded = newest && newest.backend !== backend ? { source: newest.backend, loaded: newest.loaded } : null;
+  const legacy = newest ? null : readLegacyDocument(store);
+  try {
+    doc = migrateDocument(newest?.loaded || legacy) || createEmptyDocument();
+  } catch (error) {
+    // Never overwrite data this build can't read; run in memory instead.
+    console.error("Stored document could not be migrated", error);
+    backend = null;
+    doc = createEmptyDocument();
+    return doc;
+  }
+  installFlushOnHide();
+  // Old copies are only dropped once the migrated document is safely stored.
+  if (stranded && (await persist()) && stranded.source !== backend) await stranded.source.clear().catch(() => {});
+  if (legacy && (await persist())) clearLegacyKeys(store);
+  return doc;
+}
+
+async function saveWith(target) {
+  const result = await target.save(doc);
+  backend = target;
+  status = { degraded: result?.degraded || null, error: null };
+}
+
+// On failure (typically a full quota) the next backend in priority order takes over.
+async function persist() {
+  if (!backend) return false;
+  const fallbacks = candidates.slice(candidates.indexOf(backend) + 1);
+  for (const target of [backend, ...fallbacks]) {
+    if (!target.isAvailable()) continue;
+    try {
+      await saveWith(target);
+      return true;
+    } catch (error) {
+      console.error(`Storage backend ${target.name} failed to save`, error);
+      status = { degraded: null, error: error?.message || String(error) };
+    }
+  }
+  return false;
+}
+
+function schedulePersist() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    writeChain = writeChain.then(persist);
+  }, WRITE_DEBOUNCE_MS);
+}
+
+export function storageBackendName() {
+  return backend?.name || "memory";
+}
+
+export function storageStatus() {
+  return { backend: storageBackendName(), ...status };
+}
+
+export function getDocument() {
+  return doc;
+}
+
+export function readStorage(key, fallback = null) {
+  const value = doc[key];
+  return value === undefined || value === null ? fallback : value;
+}
+
+/**
+ * Applies `update(doc)` atomically: the returned document replaces the current
+ * one in full, or nothing changes if `update` throws or returns the same object.
+ * Writes are debounced and queued so they land in commit order.
+ */
+export function transaction(update) {
+  const next = update(doc);
+  if (!next || next === doc) return doc;
+  doc = { ...next, version: DOCUMENT_VERSION, updatedAt: new Date().toISOString() };
+  schedulePersist();
+  return doc;
+}
+
+export function writeStorage(key, value) {
+  return transaction((current) => (current[key] === value ? current : { ...current, [key]: value }));
+}
+
+export function flushStorage() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    writeChain = writeChain.then(persist);
+  }
+  return writeChain;
+}
@@ -0,0 +1,60 @@
+import { STORAGE_KEY } from "../onboarding/taskTemplates.js";
+import { createEmptyDocument } from "./document.js";
+
+const QUOTE_PREFIX = "quoteOfDay:";
+const LEGACY_KEYS = [
+  STORAGE_KEY,
+  "quests",
+  "playerProfile",
+  "selectedCategories",
+  "onboardingComplete",
+  "playerPhoto",
+  "joinDate",
+];
+
+function parseJSON(value, fallback) {
+  try {
+    const parsed = JSON.parse(value);
+    return parsed ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function legacyQuoteKeys(store) {
+  const keys = [];
+  for (let i = 0; i < store.length; i += 1) {
+    const key = store.key(i);
+    if (key && key.startsWith(QUOTE_PREFIX)) keys.push(key);
+  }
+  return keys;
+}
+
+function hasLegacyData(store) {
+  return LEGACY_KEYS.some((key) => store.getItem(key) !== null) || legacyQuoteKeys(store).length > 0;
+}
+
+// Builds a document out of the pre-storage-module keys. The standalone `quests`
+// key duplicated `game.quests` and only seeds the game when nothing else exists.
+export function readLegacyDocument(store) {
+  if (!store || !hasLegacyData(store)) return null;
+  const doc = createEmptyDocument();
+  const game = parseJSON(store.getItem(STORAGE_KEY), null);
+  const quests = parseJSON(store.getItem("quests"), null);
+  if (game && typeof game === "object") doc.game = game;
+  else if (Array.isArray(quests) && quests.length) doc.game = { quests };
+  doc.profile = parseJSON(store.getItem("playerProfile"), null);
+  doc.selectedCategories = parseJSON(store.getItem("selectedCategories"), []);
+  doc.onboardingComplete = store.getItem("onboardingComplete") === "true";
+  doc.playerPhoto = store.getItem("playerPhoto") || "";
+  doc.joinDate = store.getItem("joinDate") || null;
+  for (const key of legacyQuoteKeys(store)) {
+    doc.quotes[key.slice(QUOTE_PREFIX.length)] = store.getItem(key);
+  }
+  return doc;
+}
+
+export function clearLegacyKeys(store) {
+  if (!store) return;
+  for (const key of [...LEGACY_KEYS, ...legacyQuoteKeys(store)]) store.removeItem(key);
+}
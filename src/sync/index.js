@@ -0,0 +1,114 @@
+import { mergeSyncedGames } from "./merge.js";
+
+export { mergeSyncedGames } from "./merge.js";
+export { emptySyncMeta, stampSyncMeta, withSyncedGame } from "./meta.js";
+
+export const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+const SYNC_API_PREFIX = "/v1/spaces/";
+const SPACE_RE = /^[A-Za-z0-9_-]{1,64}$/;
+// Another device pushing between our pull and push costs one retry each.
+const MAX_SYNC_ATTEMPTS = 3;
+
+export class SyncError extends Error {
+  constructor(message, status = 0) {
+    super(message);
+    this.name = "SyncError";
+    this.status = status;
+  }
+}
+
+export function defaultSyncConfig() {
+  return { enabled: false, endpoint: "", space: "", token: "", lastSyncedAt: null };
+}
+
+export function normalizeSyncConfig(raw) {
+  const base = defaultSyncConfig();
+  if (!raw || typeof raw !== "object") return base;
+  return {
+    enabled: !!raw.enabled,
+    endpoint: typeof raw.endpoint === "string" ? raw.endpoint.trim() : base.endpoint,
+    space: typeof raw.space === "string" ? raw.space.trim() : base.space,
+    token: typeof raw.token === "string" ? raw.token : base.token,
+    lastSyncedAt: typeof raw.lastSyncedAt === "string" ? raw.lastSyncedAt : null,
+  };
+}
+
+/** Returns a message for the first invalid setting, or `null`. */
+export function validateSyncConfig(config) {
+  let url;
+  try {
+    url = new URL(config.endpoint);
+  } catch {
+    return "Enter the sync server URL, e.g. http://192.168.1.10:8787.";
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return "The sync server URL must start with http:// or https://.";
+  if (!SPACE_RE.test(config.space)) return "Sync space must be 1–64 letters, digits, dashes or underscores.";
+  return null;
+}
+
+export function canSync(config) {
+  return !!config?.enabled && !validateSyncConfig(config);
+}
+
+function spaceUrl(config) {
+  return `${config.endpoint.replace(/\/+$/, "")}${SYNC_API_PREFIX}${encodeURIComponent(config.space)}`;
+}
+
+async function request(config, init, fetchImpl) {
+  const headers = { Accept: "application/json", ...(init.body ? { "Content-Type": "application/json" } : {}) };
+  if (config.token) headers.Authorization = `Bearer ${config.token}`;
+  let response;
+  try {
+    response = await fetchImpl(spaceUrl(config), { ...init, headers });
+  } catch {
+    throw new SyncError("Sync server is unreachable.");
+  }
+  if (response.status === 401 || response.status === 403) {
+    throw new SyncError("Sync server rejected the access token.", response.status);
+  }
+  return response;
+}
+
+async function readJson(response) {
+  try {
+    return await response.json();
+  } catch {
+    throw new SyncError("Sync server sent an invalid response.", response.status);
+  }
+}
+
+/** Resolves to `{ revision, payload }`, or `null` when the space is empty. */
+export async function pullRemote(config, fetchImpl = globalThis.fetch) {
+  const response = await request(config, { method: "GET" }, fetchImpl);
+  if (response.status === 404) return null;
+  if (!response.ok) throw new SyncError(`Sync server error (${response.status}).`, response.status);
+  const body = await readJson(response);
+  if (!body?.payload?.game || !Array.isArray(body.payload.game.quests)) {
+    throw new SyncError("Sync server returned a document this app can't read.");
+  }
+  return { revision: Number(body.revision) || 0, payload: body.payload };
+}
+
+/** Resolves to the new revision, or `null` if someone else pushed first. */
+export async function pushRemote(config, payload, baseRevision, fetchImpl = globalThis.fetch) {
+  const response = await request(config, { method: "PUT", body: JSON.stringify({ baseRevision, payload }) }, fetchImpl);
+  if (response.status === 409) return null;
+  if (!response.ok) throw new SyncError(`Sync server error (${response.status}).`, response.status);
+  const body = await readJson(response);
+  return Number(body?.revision) || baseRevision + 1;
+}
+
+/**
+ * Pulls the server copy, merges it with `readLocal()` (`{ game, syncMeta }`)
+ * and pushes the result. Resolves to `{ merged, revision }`; applying `merged`
+ * locally is left to the caller.
+ */
+export async function syncOnce({ config, readLocal, fetchImpl = globalThis.fetch }) {
+  for (let attempt = 0; attempt < MAX_SYNC_ATTEMPTS; attempt++) {
+    const remote = await pullRemote(config, fetchImpl);
+    const merged = mergeSyncedGames(readLocal(), remote?.payload);
+    const revision = await pushRemote(config, merged, remote?.revision || 0, fetchImpl);
+    if (revision !== null) return { merged, revision };
+  }
+  throw new SyncError("Another device kept syncing at the same time; try again.");
+}
@@ -0,0 +1,113 @@
+import { mergeChallengeArchives } from "../utils/challengeArchive.js";
+import { emptySyncMeta, isDerivedField, isKeyedField } from "./meta.js";
+
+function has(obj, key) {
+  return !!obj && Object.prototype.hasOwnProperty.call(obj, key) && obj[key] !== undefined;
+}
+
+// Newer timestamp wins; on a tie the remote copy wins so every device settles
+// on the server's version, unless only one side has the item at all.
+function pickSide(localTs, remoteTs, localHas, remoteHas) {
+  if (localTs > remoteTs) return "local";
+  if (remoteTs > localTs) return "remote";
+  if (localHas && !remoteHas) return "local";
+  return "remote";
+}
+
+function mergeQuests(local, remote, meta) {
+  const localById = new Map((local.game.quests || []).map((q) => [q.id, q]));
+  const remoteById = new Map((remote.game.quests || []).map((q) => [q.id, q]));
+  const order = [...localById.keys(), ...[...remoteById.keys()].filter((id) => !localById.has(id))];
+  const quests = [];
+  for (const id of order) {
+    const localTs = local.syncMeta.quests[id] || 0;
+    const remoteTs = remote.syncMeta.quests[id] || 0;
+    const side = pickSide(localTs, remoteTs, localById.has(id), remoteById.has(id));
+    const quest = side === "local" ? localById.get(id) : remoteById.get(id);
+    if (quest) quests.push(quest);
+    if (localTs || remoteTs) meta.quests[id] = Math.max(localTs, remoteTs);
+  }
+  // Ids deleted on both sides keep their tombstone timestamp.
+  for (const id of new Set([...Object.keys(local.syncMeta.quests), ...Object.keys(remote.syncMeta.quests)])) {
+    if (!(id in meta.quests)) meta.quests[id] = Math.max(local.syncMeta.quests[id] || 0, remote.syncMeta.quests[id] || 0);
+  }
+  return quests;
+}
+
+function mergeDays(local, remote, meta) {
+  const keys = new Set([
+    ...Object.keys(local.game.days || {}),
+    ...Object.keys(local.game.xpByDay || {}),
+    ...Object.keys(remote.game.days || {}),
+    ...Object.keys(remote.game.xpByDay || {}),
+    ...Object.keys(local.syncMeta.days),
+    ...Object.keys(remote.syncMeta.days),
+  ]);
+  const days = {};
+  const xpByDay = {};
+  for (const key of keys) {
+    const localTs = local.syncMeta.days[key] || 0;
+    const remoteTs = remote.syncMeta.days[key] || 0;
+    const localHas = has(local.game.days, key) || has(local.game.xpByDay, key);
+    const remoteHas = has(remote.game.days, key) || has(remote.game.xpByDay, key);
+    const source = pickSide(localTs, remoteTs, localHas, remoteHas) === "local" ? local.game : remote.game;
+    if (has(source.days, key)) days[key] = source.days[key];
+    if (has(source.xpByDay, key)) xpByDay[key] = source.xpByDay[key];
+    if (localTs || remoteTs) meta.days[key] = Math.max(localTs, remoteTs);
+  }
+  return { days, xpByDay };
+}
+
+// Each week's raid is its own record, so two devices clearing phases in
+// different weeks both keep their progress.
+function mergeBossRaids(local, remote, meta) {
+  const keys = new Set([
+    ...Object.keys(local.game.bossRaids || {}),
+    ...Object.keys(remote.game.bossRaids || {}),
+    ...Object.keys(local.syncMeta.bossRaids),
+    ...Object.keys(remote.syncMeta.bossRaids),
+  ]);
+  const bossRaids = {};
+  for (const key of keys) {
+    const localTs = local.syncMeta.bossRaids[key] || 0;
+    const remoteTs = remote.syncMeta.bossRaids[key] || 0;
+    const side = pickSide(localTs, remoteTs, has(local.game.bossRaids, key), has(remote.game.bossRaids, key));
+    const source = side === "local" ? local.game : remote.game;
+    if (has(source.bossRaids, key)) bossRaids[key] = source.bossRaids[key];
+    if (localTs || remoteTs) meta.bossRaids[key] = Math.max(localTs, remoteTs);
+  }
+  return bossRaids;
+}
+
+/**
+ * Merges two synced copies of the game (`{ game, syncMeta }`) quest by quest,
+ * day by day, raid week by raid week and field by field, keeping whichever side changed each one last.
+ * The challenge archive only ever grows, so both sides' entries are kept.
+ */
+export function mergeSyncedGames(local, remote) {
+  if (!remote?.game) return local;
+  const sides = [local, remote].map((side) => ({
+    game: side.game || {},
+    syncMeta: { ...emptySyncMeta(), ...(side.syncMeta || {}) },
+  }));
+  const [l, r] = sides;
+  const meta = emptySyncMeta();
+  const quests = mergeQuests(l, r, meta);
+  const { days, xpByDay } = mergeDays(l, r, meta);
+  const bossRaids = mergeBossRaids(l, r, meta);
+
+  const challengeArchive = mergeChallengeArchives(l.game.challengeArchive, r.game.challengeArchive);
+
+  const game = { ...l.game, quests, days, xpByDay, bossRaids, challengeArchive };
+  for (const field of new Set([...Object.keys(l.game), ...Object.keys(r.game)])) {
+    if (isKeyedField(field) || isDerivedField(field)) continue;
+    const localTs = l.syncMeta.fields[field] || 0;
+    const remoteTs = r.syncMeta.fields[field] || 0;
+    const side = pickSide(localTs, remoteTs, has(l.game, field), has(r.game, field));
+    const source = side === "local" ? l.game : r.game;
+    if (has(source, field)) game[field] = source[field];
+    else delete game[field];
+    if (localTs || remoteTs) meta.fields[field] = Math.max(localTs, remoteTs);
+  }
+  return { game, syncMeta: meta };
+}
@@ -0,0 +1,80 @@
+// Derived on load, so never compared or merged.
+const DERIVED_FIELDS = new Set(["totalXP", "schemaVersion"]);
+// Merged item by item in merge.js rather than stamped as a whole field.
+const KEYED_FIELDS = new Set(["quests", "days", "xpByDay", "bossRaids", "challengeArchive"]);
+
+export function emptySyncMeta() {
+  return { quests: {}, days: {}, bossRaids: {}, fields: {} };
+}
+
+function normalizeMeta(meta) {
+  return {
+    quests: { ...(meta?.quests || {}) },
+    days: { ...(meta?.days || {}) },
+    bossRaids: { ...(meta?.bossRaids || {}) },
+    fields: { ...(meta?.fields || {}) },
+  };
+}
+
+// Reference equality covers almost every update; the JSON fallback keeps a
+// freshly hydrated copy of unchanged data from looking edited.
+function changed(a, b) {
+  if (a === b) return false;
+  return JSON.stringify(a) !== JSON.stringify(b);
+}
+
+function questMap(game) {
+  return new Map((game?.quests || []).map((q) => [q.id, q]));
+}
+
+/**
+ * Records `now` against every quest, day, boss raid week and top-level field that differs
+ * between `prevGame` and `nextGame`. Deletions are stamped too, so a removal
+ * on one device wins over an older copy on another.
+ */
+export function stampSyncMeta(meta, prevGame, nextGame, now = Date.now()) {
+  const next = normalizeMeta(meta);
+  if (!nextGame) return next;
+
+  const prevQuests = questMap(prevGame);
+  const nextQuests = questMap(nextGame);
+  for (const id of new Set([...prevQuests.keys(), ...nextQuests.keys()])) {
+    if (changed(prevQuests.get(id), nextQuests.get(id))) next.quests[id] = now;
+  }
+
+  const dayKeys = new Set([
+    ...Object.keys(prevGame?.days || {}),
+    ...Object.keys(prevGame?.xpByDay || {}),
+    ...Object.keys(nextGame.days || {}),
+    ...Object.keys(nextGame.xpByDay || {}),
+  ]);
+  for (const key of dayKeys) {
+    if (changed(prevGame?.days?.[key], nextGame.days?.[key]) || prevGame?.xpByDay?.[key] !== nextGame.xpByDay?.[key]) {
+      next.days[key] = now;
+    }
+  }
+
+  for (const week of new Set([...Object.keys(prevGame?.bossRaids || {}), ...Object.keys(nextGame.bossRaids || {})])) {
+    if (changed(prevGame?.bossRaids?.[week], nextGame.bossRaids?.[week])) next.bossRaids[week] = now;
+  }
+
+  for (const field of new Set([...Object.keys(prevGame || {}), ...Object.keys(nextGame)])) {
+    if (KEYED_FIELDS.has(field) || DERIVED_FIELDS.has(field)) continue;
+    if (changed(prevGame?.[field], nextGame[field])) next.fields[field] = now;
+  }
+  return next;
+}
+
+/** Replaces the document's game and stamps whatever changed for sync. */
+export function withSyncedGame(doc, game, now = Date.now()) {
+  if (doc.game === game) return doc;
+  return { ...doc, game, syncMeta: stampSyncMeta(doc.syncMeta, doc.game, game, now) };
+}
+
+export function isDerivedField(field) {
+  return DERIVED_FIELDS.has(field);
+}
+
+export function isKeyedField(field) {
+  return KEYED_FIELDS.has(field);
+}
@@ -0,0 +1,179 @@
+// Every XP or debt change is an event appended to `day.activity`; the day's
+// earnedXP / xpDebt, `xpByDay` and `totalXP` are derived from those logs.
+export const ACTIVITY_TYPES = {
+  opening_balance: "Opening balance",
+  quest_completed: "Quest completed",
+  quest_undone: "Quest undone",
+  boss_completed: "Boss cleared",
+  boss_undone: "Boss undone",
+  challenge_completed: "Challenge completed",
+  debt_applied: "Debt applied",
+  debt_paid: "Debt paid",
+  debt_cleared: "Debt cleared",
+};
+
+export const DEBT_REASONS = {
+  missed_day: "missed day",
+  bedtime: "bedtime with quests open",
+  penalty: "focus block",
+  time_off: "time off",
+};
+
+const UNDO_TYPES = new Set(["quest_undone", "boss_undone"]);
+
+export function activityEvent(type, payload = {}, at = Date.now()) {
+  const suffix = Math.random().toString(16).slice(2, 8);
+  return { id: `${type}-${at.toString(36)}-${suffix}`, type, at, ...payload };
+}
+
+function emptyTotals() {
+  return { earnedXP: 0, xp: 0, xpDebt: 0, questXP: {} };
+}
+
+function addQuestXP(totals, questId, amount) {
+  if (!questId || !amount) return;
+  totals.questXP[questId] = (totals.questXP[questId] || 0) + amount;
+}
+
+/**
+ * Folds one day's log into `{ earnedXP, xp, xpDebt, questXP }`. An undo drops
+ * the completion it references together with any debt that completion repaid,
+ * so undoing restores the day exactly.
+ */
+export function reduceActivity(events = []) {
+  const undone = new Set(events.filter((e) => UNDO_TYPES.has(e.type) && e.ref).map((e) => e.ref));
+  const ids = new Set(events.map((e) => e.id));
+  const totals = emptyTotals();
+  for (const event of events) {
+    if (undone.has(event.id)) continue;
+    switch (event.type) {
+      case "opening_balance":
+        totals.earnedXP += event.earnedXP || 0;
+        totals.xp += event.xp || 0;
+        totals.xpDebt += event.xpDebt || 0;
+        break;
+      case "quest_completed":
+      case "boss_completed":
+      case "challenge_completed":
+        totals.earnedXP += event.xp || 0;
+        totals.xp += event.xp || 0;
+        if (event.type === "quest_completed") addQuestXP(totals, event.questId, event.xp || 0);
+        break;
+      case "quest_undone":
+      case "boss_undone":
+        // Completions logged before the activity log existed carry no event to drop.
+        if (event.ref && ids.has(event.ref)) break;
+        totals.earnedXP -= event.xp || 0;
+        totals.xp -= event.xp || 0;
+        if (event.type === "quest_undone") addQuestXP(totals, event.questId, -(event.xp || 0));
+        break;
+      case "debt_applied":
+        totals.xpDebt += event.amount || 0;
+        break;
+      case "debt_paid":
+        if (!undone.has(event.ref)) totals.xpDebt -= event.amount || 0;
+        break;
+      case "debt_cleared":
+        totals.xpDebt -= event.amount || 0;
+        break;
+      default:
+        break;
+    }
+  }
+  totals.xpDebt = Math.max(0, totals.xpDebt);
+  return totals;
+}
+
+// Days saved before the log existed start from their stored numbers.
+function dayActivity(state, key) {
+  const day = state.days?.[key];
+  if (Array.isArray(day?.activity)) return day.activity;
+  const earnedXP = day?.earnedXP || 0;
+  const xp = state.xpByDay?.[key] ?? earnedXP;
+  const xpDebt = day?.xpDebt || 0;
+  if (!earnedXP && !xp && !xpDebt) return [];
+  return [activityEvent("opening_balance", { earnedXP, xp, xpDebt }, 0)];
+}
+
+export function sumXpByDay(xpByDay) {
+  return Object.values(xpByDay || {}).reduce((sum, xp) => sum + (Number(xp) || 0), 0);
+}
+
+/**
+ * Appends `events` to the log of day `key` and re-derives that day's totals,
+ * `xpByDay`, `totalXP` and the XP of any quest the events touched.
+ */
+export function recordActivity(state, key, events) {
+  const list = events.filter(Boolean);
+  if (!list.length) return state;
+  const before = dayActivity(state, key);
+  const activity = [...before, ...list];
+  const prevTotals = reduceActivity(before);
+  const totals = reduceActivity(activity);
+  const day = state.days?.[key] || { completed: {}, earnedXP: 0, xpDebt: 0, note: "", debtApplied: false };
+  const xpByDay = { ...(state.xpByDay || {}), [key]: totals.xp };
+  const questIds = new Set([...Object.keys(prevTotals.questXP), ...Object.keys(totals.questXP)]);
+  const quests = state.quests.map((q) => {
+    if (!questIds.has(q.id)) return q;
+    const delta = (totals.questXP[q.id] || 0) - (prevTotals.questXP[q.id] || 0);
+    return delta ? { ...q, xp: Math.max(0, (q.xp || 0) + delta) } : q;
+  });
+  return {
+    ...state,
+    quests,
+    days: { ...state.days, [key]: { ...day, activity, earnedXP: totals.earnedXP, xpDebt: totals.xpDebt } },
+    xpByDay,
+    totalXP: sumXpByDay(xpByDay),
+  };
+}
+
+/**
+ * Builds the events for a reward: the completion itself plus, when XP debt is
+ * on, a `debt_paid` event for the part that goes to the day's debt.
+ */
+export function rewardEvents(type, payload, award, { day, settings, at = Date.now() }) {
+  const debt = day?.xpDebt || 0;
+  const pay = settings?.xpDebtEnabled && award > 0 ? Math.min(debt, award) : 0;
+  const completion = activityEvent(type, { ...payload, xp: award - pay }, at);
+  if (!pay) return [completion];
+  return [completion, activityEvent("debt_paid", { amount: pay, ref: completion.id }, at)];
+}
+
+export function findActivity(day, id) {
+  return (day?.activity || []).find((e) => e.id === id) || null;
+}
+
+/** Re-derives every day that has a log, so stored totals can't drift from it. */
+export function deriveXpTotals(state) {
+  const days = { ...state.days };
+  const xpByDay = { ...(state.xpByDay || {}) };
+  for (const [key, day] of Object.entries(state.days || {})) {
+    if (!Array.isArray(day?.activity)) continue;
+    const totals = reduceActivity(day.activity);
+    xpByDay[key] = totals.xp;
+    if (day.earnedXP !== totals.earnedXP || day.xpDebt !== totals.xpDebt) {
+      days[key] = { ...day, earnedXP: totals.earnedXP, xpDebt: totals.xpDebt };
+    }
+  }
+  return { ...state, days, xpByDay, totalXP: sumXpByDay(xpByDay) };
+}
+
+export function formatActivityEvent(event) {
+  const label = ACTIVITY_TYPES[event.type] || event.type;
+  const name = event.questName || event.label || "";
+  const detail = name ? ` — ${name}` : "";
+  switch (event.type) {
+    case "opening_balance":
+      return `${label}: ${event.xp || 0} XP${event.xpDebt ? `, ${event.xpDebt} debt` : ""}`;
+    case "debt_applied":
+    case "debt_cleared":
+      return `${label}: ${event.amount} XP${event.reason ? ` (${DEBT_REASONS[event.reason] || event.reason})` : ""}`;
+    case "debt_paid":
+      return `${label}: ${event.amount} XP`;
+    case "quest_undone":
+    case "boss_undone":
+      return `${label}${detail}`;
+    default:
+      return `${label}${detail}: +${event.xp || 0} XP`;
+  }
+}
@@ -0,0 +1,234 @@
+import { isBossDayKey } from "./integrity.js";
+import { dateKeyOf } from "./schedule.js";
+
+// The weekly boss is a multi-phase raid built from the quests that come up
+// that week: one phase per active domain, each a bigger version of a real
+// quest. Phases are cleared one at a time and pay out on their own; clearing
+// every phase adds a bonus. Raids live in `state.bossRaids`, keyed by the
+// Monday of their week, and a raid is frozen there once its first phase is
+// cleared so later quest edits can't change it.
+export const BOSS_BASE_XP = 220;
+export const BOSS_CLEAR_BONUS_PCT = 25;
+export const BOSS_RANK_MULTIPLIERS = { E: 1, D: 1.2, C: 1.45, B: 1.75, A: 2.1, S: 2.5 };
+export const MAX_BOSS_PHASES = 4;
+
+const DOMAIN_ORDER = ["body", "mind", "hobbies", "life"];
+
+// Small deterministic PRNG (FNV-1a hash of the seed feeding mulberry32).
+function seededRandom(seed) {
+  let h = 2166136261;
+  for (let i = 0; i < seed.length; i++) h = Math.imul(h ^ seed.charCodeAt(i), 16777619);
+  return () => {
+    h = (h + 0x6d2b79f5) | 0;
+    let t = Math.imul(h ^ (h >>> 15), 1 | h);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(list, rand) {
+  return list[Math.floor(rand() * list.length)];
+}
+
+function roundTarget(value, measurementType) {
+  return measurementType === "distance" ? Math.round(value * 10) / 10 : Math.max(1, Math.round(value));
+}
+
+function buildPhase(q, rand) {
+  const multiplier = q.priority === "minor" ? 2 : pick([2, 3], rand);
+  const measurementType = q.measurementType || "reps";
+  const perSession = Number(q.currentTargetValue) || 1;
+  if (measurementType === "habit") {
+    return {
+      id: q.id,
+      questId: q.id,
+      questName: q.name,
+      domain: q.category,
+      measurementType,
+      multiplier,
+      target: multiplier,
+      unit: "days",
+      label: `${q.name} on ${multiplier} days`,
+      detail: `Check in on ${multiplier} separate days this week.`,
+    };
+  }
+  const isTime = measurementType === "time";
+  const target = roundTarget((isTime ? Number(q.targetMinutes) || perSession : perSession) * multiplier, measurementType);
+  const unit = isTime ? "min" : q.unit || "";
+  return {
+    id: q.id,
+    questId: q.id,
+    questName: q.name,
+    domain: q.category,
+    measurementType,
+    multiplier,
+    target,
+    unit,
+    label: `${multiplier}× ${q.name} ${isTime ? "block" : "session"}`,
+    detail: `${[target, unit].filter(Boolean).join(" ")} in one go.`,
+  };
+}
+
+/**
+ * Builds the raid for the week starting at `weekKey` from the quests that come
+ * up that week, or `null` when there are none.
+ */
+export function buildBossRaid({ quests, weekKey, overallRank = "E" }) {
+  const rand = seededRandom(`${weekKey}:${quests.map((q) => q.id).sort().join(",")}`);
+  const byDomain = DOMAIN_ORDER.map((domain) => quests.filter((q) => q.category === domain)).filter((list) => list.length);
+  if (!byDomain.length) return null;
+
+  const chosen = [];
+  for (const list of byDomain) {
+    const main = list.filter((q) => q.priority !== "minor");
+    chosen.push(pick(main.length ? main : list, rand));
+  }
+  // A single-domain week still gets a second phase when it can.
+  if (chosen.length === 1) {
+    const rest = byDomain[0].filter((q) => q.id !== chosen[0].id);
+    if (rest.length) chosen.push(pick(rest, rand));
+  }
+  const phases = chosen.slice(0, MAX_BOSS_PHASES).map((q) => buildPhase(q, rand));
+
+  const rank = BOSS_RANK_MULTIPLIERS[overallRank] ? overallRank : "E";
+  const baseXP = Math.round(BOSS_BASE_XP * BOSS_RANK_MULTIPLIERS[rank]);
+  const phaseXP = Math.round(baseXP / phases.length);
+  return {
+    id: `${weekKey}_boss`,
+    weekKey,
+    name: "Weekly Boss Raid",
+    rank,
+    baseXP,
+    bonusXP: Math.round((baseXP * BOSS_CLEAR_BONUS_PCT) / 100),
+    phases: phases.map((phase) => ({ ...phase, xp: phaseXP })),
+  };
+}
+
+// A raid is locked in once any phase is cleared (or, for entries saved before
+// raids had phases, once it was completed).
+function isStarted(record) {
+  return !!record && (!!record.done || Object.keys(record.phases || {}).length > 0);
+}
+
+/** The raid a boss entry was played against, falling back to this week's draw. */
+export function raidForEntry(record, generated) {
+  return (isStarted(record) && record.raid) || generated;
+}
+
+/**
+ * Progress of a boss entry: cleared phase ids, XP banked so far (phases plus
+ * clear bonus) and whether the raid is fully cleared. Entries saved before
+ * raids had phases count as one cleared phase.
+ */
+export function bossRaidProgress(raid, record) {
+  if (record && !record.raid && !record.phases) {
+    const done = !!record.done;
+    return { cleared: [], clearedCount: done ? 1 : 0, total: 1, xp: done ? record.xp || 0 : 0, done, legacy: true };
+  }
+  const phases = raid?.phases || [];
+  const cleared = phases.filter((phase) => record?.phases?.[phase.id]).map((phase) => phase.id);
+  const phaseXP = cleared.reduce((sum, id) => sum + (record.phases[id].xp || 0), 0);
+  return {
+    cleared,
+    clearedCount: cleared.length,
+    total: phases.length,
+    xp: phaseXP + (record?.bonus?.xp || 0),
+    done: phases.length > 0 && cleared.length === phases.length,
+    legacy: false,
+  };
+}
+
+const WEEK_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function shiftWeek(weekKey, weeks) {
+  const d = new Date(`${weekKey}T00:00:00`);
+  d.setDate(d.getDate() + weeks * 7);
+  return dateKeyOf(d);
+}
+
+export function emptyBossRecord(raid) {
+  return { raid, phases: {}, bonus: null, modifiers: [], done: false, xp: 0 };
+}
+
+export function normalizeBossRaids(raw) {
+  if (!raw || typeof raw !== "object") return {};
+  return Object.fromEntries(Object.entries(raw).filter(([key, record]) => WEEK_KEY_RE.test(key) && record && typeof record === "object"));
+}
+
+/**
+ * Records `raid` as its week's raid so the week shows up in the history even
+ * if it is never fought. Until a phase is cleared the stored draw is replaced
+ * whenever it changes.
+ */
+export function openBossRaid(state, raid) {
+  if (!raid) return state;
+  const record = state.bossRaids?.[raid.weekKey];
+  if (isStarted(record) || (record?.raid && JSON.stringify(record.raid) === JSON.stringify(raid))) return state;
+  return { ...state, bossRaids: { ...(state.bossRaids || {}), [raid.weekKey]: emptyBossRecord(raid) } };
+}
+
+/**
+ * Moves boss entries saved as `YYYY-MM-DD_boss` pseudo-days out of `days` and
+ * into `bossRaids`. A week already in `bossRaids` keeps its record.
+ */
+export function extractBossRaids(days, bossRaids = {}) {
+  const realDays = {};
+  const raids = { ...bossRaids };
+  for (const [key, day] of Object.entries(days || {})) {
+    if (!isBossDayKey(key)) {
+      realDays[key] = day;
+      continue;
+    }
+    const weekKey = key.slice(0, 10);
+    const record = day?.completed?.[key] || Object.values(day?.completed || {})[0];
+    if (record && !raids[weekKey]) raids[weekKey] = record;
+  }
+  return { days: realDays, bossRaids: raids };
+}
+
+function raidStatus(progress) {
+  if (progress.done) return "cleared";
+  return progress.clearedCount ? "partial" : "failed";
+}
+
+/**
+ * Every finished week from the first recorded raid up to (not including)
+ * `before`, newest first. Weeks the app never opened show up as "missed".
+ */
+export function bossRaidHistory(bossRaids, { before }) {
+  const recorded = Object.keys(bossRaids || {}).filter((key) => key < before).sort();
+  if (!recorded.length) return [];
+  const weeks = [];
+  for (let weekKey = recorded[0]; weekKey < before; weekKey = shiftWeek(weekKey, 1)) {
+    const record = bossRaids[weekKey];
+    if (!record) {
+      weeks.push({ weekKey, raid: null, cleared: [], clearedCount: 0, total: 0, xp: 0, done: false, legacy: false, status: "missed" });
+      continue;
+    }
+    const progress = bossRaidProgress(record.raid, record);
+    weeks.push({ weekKey, raid: record.raid || null, ...progress, status: raidStatus(progress) });
+  }
+  return weeks.reverse();
+}
+
+/** Clear rate and streaks over a history from `bossRaidHistory` (newest first). */
+export function bossScoreboard(history) {
+  const cleared = history.filter((week) => week.status === "cleared").length;
+  let streak = 0;
+  while (streak < history.length && history[streak].status === "cleared") streak += 1;
+  let bestStreak = 0;
+  let run = 0;
+  for (const week of history) {
+    run = week.status === "cleared" ? run + 1 : 0;
+    bestStreak = Math.max(bestStreak, run);
+  }
+  return {
+    weeks: history.length,
+    cleared,
+    partial: history.filter((week) => week.status === "partial").length,
+    clearRate: history.length ? Math.round((cleared / history.length) * 100) : 0,
+    streak,
+    bestStreak,
+    totalXP: history.reduce((sum, week) => sum + (week.xp || 0), 0),
+  };
+}
@@ -0,0 +1,107 @@
+// Every weekly challenge and mystery box ends up here once it is completed,
+// expires or is rerolled, so Do Different can show a history and stats.
+export const CHALLENGE_STATUSES = ["completed", "expired", "rerolled"];
+// Weekly challenges are listed ahead of mystery boxes in the per-template stats.
+const KIND_ORDER = ["weekly", "mystery"];
+
+function toMs(value) {
+  const ms = typeof value === "number" ? value : Date.parse(value || "");
+  return Number.isFinite(ms) ? ms : 0;
+}
+
+// A rerolled mystery box keeps its window id, so the replacement is told apart by its reroll flag.
+function archiveId(kind, item) {
+  return `${kind}:${item.id}${kind === "mystery" && item.rerollUsed ? ":reroll" : ""}`;
+}
+
+export function challengeArchiveEntry(kind, item, status, at = Date.now()) {
+  const weekly = kind === "weekly";
+  return {
+    id: archiveId(kind, item),
+    kind,
+    templateId: weekly ? item.meta?.type || "constraint" : item.templateId || "",
+    questId: weekly ? item.taskId : item.baseTaskId,
+    title: item.title,
+    target: weekly ? item.target : item.descriptionRevealed,
+    status,
+    xpReward: item.xpReward || 0,
+    xp: status === "completed" ? item.xpAwarded || 0 : 0,
+    createdAt: toMs(item.createdAt),
+    closedAt: status === "completed" ? toMs(item.completedAt) || at : at,
+  };
+}
+
+/** Adds or updates the archive entry for `item`. */
+export function archiveChallenge(state, kind, item, status, at = Date.now()) {
+  if (!item || !CHALLENGE_STATUSES.includes(status)) return state;
+  const entry = challengeArchiveEntry(kind, item, status, at);
+  const archive = state.challengeArchive || [];
+  const existing = archive.find((e) => e.id === entry.id);
+  if (existing && existing.status === entry.status) return state;
+  const next = existing ? archive.map((e) => (e.id === entry.id ? entry : e)) : [...archive, entry];
+  return { ...state, challengeArchive: next };
+}
+
+// The status a challenge is archived with when its window closes.
+export function closingStatus(item) {
+  return item?.status === "completed" ? "completed" : "expired";
+}
+
+export function normalizeChallengeArchive(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.filter((e) => e && typeof e.id === "string" && CHALLENGE_STATUSES.includes(e.status));
+}
+
+/** Keeps every entry from both archives; on a clash a completed copy wins. */
+export function mergeChallengeArchives(current = [], incoming = []) {
+  const byId = new Map(current.map((e) => [e.id, e]));
+  for (const entry of incoming) {
+    const mine = byId.get(entry.id);
+    if (!mine || (entry.status === "completed" && mine.status !== "completed")) byId.set(entry.id, entry);
+  }
+  return [...byId.values()].sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Completion counts per template (weekly rows first, then mystery) plus the
+ * favourite twist (best completion rate) and the avoided one (most often
+ * rerolled or left to expire). Only templates seen at least twice count as
+ * favourite or avoided.
+ */
+export function challengeStats(archive) {
+  const byTemplate = {};
+  for (const entry of archive) {
+    const key = `${entry.kind}:${entry.templateId}`;
+    if (!byTemplate[key]) {
+      byTemplate[key] = { kind: entry.kind, templateId: entry.templateId, total: 0, completed: 0, expired: 0, rerolled: 0, xp: 0 };
+    }
+    const row = byTemplate[key];
+    row.total += 1;
+    row[entry.status] += 1;
+    row.xp += entry.xp || 0;
+  }
+  const templates = Object.values(byTemplate)
+    .map((row) => ({ ...row, rate: Math.round((row.completed / row.total) * 100) }))
+    .sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) || b.total - a.total || b.rate - a.rate);
+
+  const rateFor = (kind) => {
+    const list = archive.filter((e) => e.kind === kind);
+    const completed = list.filter((e) => e.status === "completed").length;
+    return { total: list.length, completed, rate: list.length ? Math.round((completed / list.length) * 100) : 0 };
+  };
+  const twists = templates.filter((row) => row.kind === "mystery" && row.total >= 2);
+  const favourite = [...twists].filter((row) => row.completed).sort((a, b) => b.rate - a.rate || b.completed - a.completed)[0] || null;
+  const avoided =
+    [...twists]
+      .filter((row) => row.rerolled + row.expired && row !== favourite)
+      .sort((a, b) => (b.rerolled + b.expired) / b.total - (a.rerolled + a.expired) / a.total || b.rerolled - a.rerolled)[0] || null;
+
+  return {
+    weekly: rateFor("weekly"),
+    mystery: rateFor("mystery"),
+    xp: archive.reduce((sum, e) => sum + (e.xp || 0), 0),
+    templates,
+    favourite,
+    avoided,
+  };
+}
@@ -0,0 +1,69 @@
+import { findActivity } from "./activityLog.js";
+import { dateKeyOf } from "./schedule.js";
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+function challengeWindow(challenge) {
+  const start = Number(challenge.createdAt) || 0;
+  const end = Number(challenge.expiresAt) || start + WEEK_MS;
+  return { start, end };
+}
+
+// Every day key the challenge window touches. The window opens and closes at
+// wake time, so it covers part of a day at each end.
+export function challengeDayKeys(challenge) {
+  const { start, end } = challengeWindow(challenge);
+  const keys = [];
+  const last = dateKeyOf(new Date(end - 1));
+  for (let d = new Date(start); ; d.setDate(d.getDate() + 1)) {
+    const key = dateKeyOf(d);
+    keys.push(key);
+    if (key >= last) return keys;
+  }
+}
+
+// A completion counts when it was logged inside the window; entries without a
+// logged time are judged by their day alone.
+function completedInWindow(day, questId, span) {
+  const entry = day?.completed?.[questId];
+  if (!entry?.done) return false;
+  const at = findActivity(day, entry.activityId)?.at;
+  return typeof at !== "number" || (at >= span.start && at < span.end);
+}
+
+/**
+ * Progress of a weekly challenge read from the day history. Constraint
+ * challenges count the days its quest was completed; quantity challenges take
+ * the best amount logged for that quest. `met` unlocks completion.
+ */
+export function weeklyChallengeProgress(challenge, days) {
+  if (!challenge) return null;
+  const span = challengeWindow(challenge);
+  const entries = challengeDayKeys(challenge)
+    .filter((key) => completedInWindow(days?.[key], challenge.taskId, span))
+    .map((key) => days[key].completed[challenge.taskId]);
+
+  if (challenge.meta?.type === "quantity") {
+    const target = Number(challenge.meta.value) || 0;
+    const values = entries.map((entry) => entry.value).filter((value) => typeof value === "number" && Number.isFinite(value));
+    const best = values.length ? Math.max(...values) : 0;
+    return {
+      type: "quantity",
+      current: best,
+      required: target,
+      pct: target ? Math.min(1, best / target) : 0,
+      met: target > 0 && best >= target,
+      logged: values.length > 0,
+    };
+  }
+
+  const required = Number(challenge.meta?.requiredDays) || 1;
+  return {
+    type: "constraint",
+    current: entries.length,
+    required,
+    pct: Math.min(1, entries.length / required),
+    met: entries.length >= required,
+    logged: entries.length > 0,
+  };
+}
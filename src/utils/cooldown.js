@@ -0,0 +1,72 @@
+import { performanceRatio } from "./xpModifiers.js";
+
+export const COOLDOWN_BODY_XP_MULT = 0.5;
+export const BOSS_RECOVERY_HOURS = 24;
+export const INTENSITY_RECOVERY_HOURS = 24;
+export const HIGH_INTENSITY_RATIO = 1.2;
+export const HIGH_INTENSITY_STREAK_DAYS = 3;
+
+export const COOLDOWN_REASONS = {
+  boss: { label: "Boss recovery", locksBody: false },
+  intensity: { label: "Overtraining recovery", locksBody: false },
+  rest: { label: "Rest day", locksBody: true },
+};
+
+export function activeCooldown(state, now = Date.now()) {
+  if (!state?.cooldownUntil) return null;
+  const untilMs = new Date(state.cooldownUntil).getTime();
+  if (!Number.isFinite(untilMs) || now >= untilMs) return null;
+  const reason = COOLDOWN_REASONS[state.cooldownReason] ? state.cooldownReason : "boss";
+  return { reason, untilMs, remainingMs: untilMs - now, ...COOLDOWN_REASONS[reason] };
+}
+
+// A longer cooldown already in effect is never shortened by a new trigger.
+export function startCooldown(state, reason, untilMs, now = Date.now()) {
+  const current = activeCooldown(state, now);
+  if (current && current.untilMs >= untilMs) return state;
+  return { ...state, cooldownUntil: new Date(untilMs).toISOString(), cooldownReason: reason };
+}
+
+export function cooldownHoursFrom(now, hours) {
+  return now + hours * 60 * 60 * 1000;
+}
+
+export function isBodyQuest(quest) {
+  return quest?.category === "body";
+}
+
+export function isBodyLocked(cooldown, quest) {
+  return !!cooldown?.locksBody && isBodyQuest(quest);
+}
+
+export function cooldownXpMult(cooldown, quest) {
+  if (!cooldown || !isBodyQuest(quest)) return 1;
+  return cooldown.locksBody ? 0 : COOLDOWN_BODY_XP_MULT;
+}
+
+export function isHighIntensityDay(day, quests) {
+  return Object.entries(day?.completed || {}).some(([questId, entry]) => {
+    if (!entry?.done) return false;
+    const quest = quests.find((q) => q.id === questId);
+    if (!isBodyQuest(quest)) return false;
+    const ratio = performanceRatio(entry.value, entry.target);
+    return ratio !== null && ratio >= HIGH_INTENSITY_RATIO;
+  });
+}
+
+// `recentDays` is newest first, starting with today.
+export function shouldForceIntensityCooldown(recentDays, quests) {
+  if (recentDays.length < HIGH_INTENSITY_STREAK_DAYS) return false;
+  return recentDays.slice(0, HIGH_INTENSITY_STREAK_DAYS).every((day) => isHighIntensityDay(day, quests));
+}
+
+export function restTokenAvailable(state, weekKey) {
+  return state?.restTokenWeek !== weekKey;
+}
+
+export function formatCooldownRemaining(ms) {
+  const totalMin = Math.max(0, Math.ceil(ms / 60000));
+  const h = Math.floor(totalMin / 60);
+  const m = totalMin % 60;
+  return h ? `${h}h ${String(m).padStart(2, "0")}m` : `${m}m`;
+}
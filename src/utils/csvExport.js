@@ -0,0 +1,83 @@
+const DATE_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const COMPLETION_COLUMNS = [
+  "date",
+  "quest_id",
+  "quest_name",
+  "domain",
+  "activity_kind",
+  "measurement_type",
+  "target",
+  "value",
+  "unit",
+  "done",
+  "xp",
+  "day_debt",
+  "note",
+];
+
+export const XP_BY_DAY_COLUMNS = ["date", "xp", "earned_xp", "xp_debt"];
+
+export function csvEscape(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((col) => csvEscape(row[col])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function inRange(key, { from, to }) {
+  if (!DATE_KEY_RE.test(key)) return false;
+  if (from && key < from) return false;
+  if (to && key > to) return false;
+  return true;
+}
+
+// Quests deleted since the day was logged keep their id but lose metadata,
+// including their domain, so the domain filter can't exclude them.
+export function completionRows(state, { from = "", to = "", domains = null } = {}) {
+  const questsById = new Map((state.quests || []).map((q) => [q.id, q]));
+  const rows = [];
+  const keys = Object.keys(state.days || {}).filter((key) => inRange(key, { from, to })).sort();
+  for (const key of keys) {
+    const day = state.days[key];
+    for (const [questId, entry] of Object.entries(day?.completed || {})) {
+      const quest = questsById.get(questId);
+      const domain = quest?.category || "";
+      if (quest && domains && !domains.includes(domain)) continue;
+      rows.push({
+        date: key,
+        quest_id: questId,
+        quest_name: quest?.name || "(deleted quest)",
+        domain,
+        activity_kind: quest?.activityKind || "",
+        measurement_type: quest?.measurementType || "",
+        target: entry?.target ?? quest?.currentTargetValue ?? "",
+        value: entry?.value ?? "",
+        unit: entry?.unit ?? "",
+        done: entry?.done ? "yes" : "no",
+        xp: entry?.xp || 0,
+        day_debt: day.xpDebt || 0,
+        note: day.note || "",
+      });
+    }
+  }
+  return rows;
+}
+
+export function xpByDayRows(state, { from = "", to = "" } = {}) {
+  const keys = new Set([...Object.keys(state.xpByDay || {}), ...Object.keys(state.days || {})]);
+  return [...keys]
+    .filter((key) => inRange(key, { from, to }))
+    .sort()
+    .map((key) => ({
+      date: key,
+      xp: state.xpByDay?.[key] || 0,
+      earned_xp: state.days?.[key]?.earnedXP || 0,
+      xp_debt: state.days?.[key]?.xpDebt || 0,
+    }));
+}
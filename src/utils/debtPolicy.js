@@ -0,0 +1,104 @@
+import { hardcoreDebt } from "./hardcore.js";
+import { dateKeyOf } from "./schedule.js";
+
+export const DEBT_MODES = {
+  flat: { label: "Flat", description: "A fixed amount for an unfinished day." },
+  scaled: { label: "Per quest", description: "Each missed quest owes a share of its XP (rank × priority)." },
+};
+
+export const DEFAULT_DEBT_POLICY = {
+  debtMode: "flat",
+  debtFlatXP: 50,
+  debtQuestPct: 100,
+  debtInterestPct: 0,
+  debtMaxXP: 0,
+  debtPartialDays: false,
+};
+
+const DEBT_REASONS_COUNTED = new Set(["missed_day", "bedtime"]);
+
+function numberSetting(value, fallback, min = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(min, n) : fallback;
+}
+
+/** Reads the debt settings, falling back to the old flat 50 XP behaviour. */
+export function debtPolicyFromSettings(settings = {}) {
+  return {
+    debtMode: DEBT_MODES[settings.debtMode] ? settings.debtMode : DEFAULT_DEBT_POLICY.debtMode,
+    debtFlatXP: numberSetting(settings.debtFlatXP, DEFAULT_DEBT_POLICY.debtFlatXP),
+    debtQuestPct: numberSetting(settings.debtQuestPct, DEFAULT_DEBT_POLICY.debtQuestPct),
+    debtInterestPct: numberSetting(settings.debtInterestPct, DEFAULT_DEBT_POLICY.debtInterestPct),
+    debtMaxXP: numberSetting(settings.debtMaxXP, DEFAULT_DEBT_POLICY.debtMaxXP),
+    debtPartialDays:
+      typeof settings.debtPartialDays === "boolean" ? settings.debtPartialDays : DEFAULT_DEBT_POLICY.debtPartialDays,
+  };
+}
+
+function chargedForMiss(day) {
+  if (!Array.isArray(day?.activity)) return day?.note === "(missed)" && (day.xpDebt || 0) > 0;
+  return day.activity.some((e) => e.type === "debt_applied" && DEBT_REASONS_COUNTED.has(e.reason));
+}
+
+/** XP already charged on `day` by the debt policy (missed day or bedtime), ignoring payments and penalties. */
+export function policyDebtCharged(day) {
+  return (day?.activity || [])
+    .filter((e) => e.type === "debt_applied" && DEBT_REASONS_COUNTED.has(e.reason))
+    .reduce((sum, e) => sum + (e.amount || 0), 0);
+}
+
+/** Number of days right before `key` that were charged missed-day or bedtime debt. */
+export function consecutiveDebtDays(days, key, limit = 30) {
+  let count = 0;
+  const d = new Date(`${key}T00:00:00`);
+  for (let i = 0; i < limit; i++) {
+    d.setDate(d.getDate() - 1);
+    const prevKey = dateKeyOf(d);
+    if (!chargedForMiss(days?.[prevKey])) break;
+    count += 1;
+  }
+  return count;
+}
+
+/**
+ * Works out the debt for one day. `scheduled` are the quests that were due
+ * that day and `questValue(quest)` is the XP a completion would have been
+ * worth before bonuses. Resolves to `{ amount, breakdown }`; `breakdown` is
+ * stored on the `debt_applied` event so the day report can explain it.
+ */
+export function computeDayDebt({ scheduled, day, settings, streak = 0, questValue = () => 0 }) {
+  const policy = debtPolicyFromSettings(settings);
+  const missed = scheduled.filter((q) => !day?.completed?.[q.id]?.done);
+  if (!missed.length) return { amount: 0, breakdown: null };
+  const charged = policy.debtPartialDays ? missed : scheduled;
+
+  let lines;
+  if (policy.debtMode === "scaled") {
+    lines = charged.map((q) => ({
+      questId: q.id,
+      questName: q.name,
+      amount: Math.round((questValue(q) * policy.debtQuestPct) / 100),
+    }));
+  } else {
+    const share = policy.debtPartialDays ? missed.length / scheduled.length : 1;
+    lines = [{ questId: null, questName: `${missed.length}/${scheduled.length} quests missed`, amount: Math.round(policy.debtFlatXP * share) }];
+  }
+
+  const base = lines.reduce((sum, line) => sum + line.amount, 0);
+  const interest = Math.round((base * policy.debtInterestPct * streak) / 100);
+  const hardcore = hardcoreDebt(base + interest, settings) - (base + interest);
+  const uncapped = base + interest + hardcore;
+  const amount = policy.debtMaxXP > 0 ? Math.min(uncapped, policy.debtMaxXP) : uncapped;
+  return {
+    amount,
+    breakdown: { mode: policy.debtMode, lines, base, streak, interest, hardcore, capped: amount < uncapped },
+  };
+}
+
+export function formatDebtBreakdown(breakdown) {
+  if (!breakdown) return [];
+  const rows = breakdown.lines.map((line) => ({ label: line.questName, amount: line.amount }));
+  if (breakdown.interest) rows.push({ label: `Interest (${breakdown.streak} day${breakdown.streak === 1 ? "" : "s"} in a row)`, amount: breakdown.interest });
+  if (breakdown.hardcore) rows.push({ label: "Hardcore", amount: breakdown.hardcore });
+  return rows;
+}
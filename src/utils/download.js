@@ -0,0 +1,12 @@
+export function downloadTextFile(filename, text, mimeType = "application/json") {
+  if (typeof document === "undefined") return;
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,48 @@
+import { demoteQuestRank, missStreakFor, recordSessionMiss } from "./questProgression.js";
+
+export const HARDCORE_DEBT_MULT = 2;
+export const HARDCORE_DEMOTION_MISSES = 3;
+
+export const HARDCORE_RULES = [
+  {
+    id: "no-undo",
+    label: "No undo",
+    description: "Completed quests stay completed for the day.",
+  },
+  {
+    id: "no-reroll",
+    label: "No rerolls",
+    description: "The Mystery Box twist you reveal is the one you get.",
+  },
+  {
+    id: "double-debt",
+    label: `${HARDCORE_DEBT_MULT}× XP debt`,
+    description: "Missed days and unfinished days add double XP debt.",
+  },
+  {
+    id: "demotion",
+    label: "Rank demotion",
+    description: `Missing a quest on ${HARDCORE_DEMOTION_MISSES} scheduled days in a row drops its target one rank.`,
+  },
+];
+
+export function isHardcore(settings) {
+  return !!settings?.hardcore;
+}
+
+export function hardcoreDebt(amount, settings) {
+  return isHardcore(settings) ? amount * HARDCORE_DEBT_MULT : amount;
+}
+
+/**
+ * Records a missed session. In hardcore a miss that completes the demotion
+ * streak drops the quest a rank instead of also rolling its target back, so
+ * one miss never costs two penalties.
+ */
+export function recordQuestMiss(quest, settings, at = Date.now()) {
+  const miss = recordSessionMiss(quest, at);
+  if (!isHardcore(settings) || missStreakFor(miss.quest) < HARDCORE_DEMOTION_MISSES) return miss;
+  const demotion = demoteQuestRank({ ...quest, progressState: miss.quest.progressState }, at);
+  if (!demotion.event) return { ...miss, quest: { ...miss.quest, progressState: demotion.quest.progressState } };
+  return demotion;
+}
@@ -0,0 +1,157 @@
+import { reduceActivity, sumXpByDay } from "./activityLog.js";
+
+const DATE_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const BOSS_KEY_RE = /^\d{4}-\d{2}-\d{2}_boss$/;
+
+export function isBossDayKey(key) {
+  return BOSS_KEY_RE.test(key);
+}
+
+function dayTotals(day) {
+  if (Array.isArray(day?.activity)) {
+    const { earnedXP, xpDebt } = reduceActivity(day.activity);
+    return { earnedXP, xpDebt };
+  }
+  return { earnedXP: day?.earnedXP || 0, xpDebt: day?.xpDebt || 0 };
+}
+
+function completedXpByQuest(days) {
+  const byQuest = {};
+  for (const [key, day] of Object.entries(days || {})) {
+    if (!DATE_KEY_RE.test(key)) continue;
+    for (const [questId, entry] of Object.entries(day?.completed || {})) {
+      if (!entry?.done) continue;
+      byQuest[questId] = (byQuest[questId] || 0) + (entry.xp || 0);
+    }
+  }
+  return byQuest;
+}
+
+/**
+ * Rebuilds every derived number from the day history: each day's totals from
+ * its activity log, `xpByDay` from the days, `totalXP` from `xpByDay` and each
+ * quest's XP from its completion entries (capped by `questXpCap`).
+ */
+export function rebuildDerivedTotals(state, { questXpCap = () => Infinity } = {}) {
+  const days = {};
+  const xpByDay = {};
+  for (const [key, day] of Object.entries(state.days || {})) {
+    if (isBossDayKey(key)) {
+      // Boss pseudo-days only hold the completion flag; XP is counted on real days.
+      days[key] = { ...day, earnedXP: 0, xpDebt: 0 };
+      continue;
+    }
+    const totals = dayTotals(day);
+    days[key] = { ...day, ...totals };
+    if (DATE_KEY_RE.test(key)) xpByDay[key] = Array.isArray(day?.activity) ? reduceActivity(day.activity).xp : totals.earnedXP;
+  }
+  // XP recorded for a date with no day entry becomes a day so it isn't lost.
+  for (const [key, xp] of Object.entries(state.xpByDay || {})) {
+    if (!DATE_KEY_RE.test(key) || days[key] || !xp) continue;
+    days[key] = { completed: {}, earnedXP: xp, xpDebt: 0, note: "", debtApplied: false };
+    xpByDay[key] = xp;
+  }
+  const byQuest = completedXpByQuest(days);
+  const quests = state.quests.map((q) => {
+    const xp = Math.min(byQuest[q.id] || 0, questXpCap(q));
+    return xp === q.xp ? q : { ...q, xp };
+  });
+  return { ...state, quests, days, xpByDay, totalXP: sumXpByDay(xpByDay) };
+}
+
+/**
+ * Cross-checks the XP ledgers and lists what doesn't add up. Issues marked
+ * `repairable` are fixed by `rebuildDerivedTotals`; the rest are informational.
+ */
+export function checkIntegrity(state, { questXpCap = () => Infinity } = {}) {
+  const issues = [];
+  const add = (issue) => issues.push({ repairable: true, severity: "warn", ...issue });
+  const days = state.days || {};
+  const xpByDay = state.xpByDay || {};
+
+  const daySum = sumXpByDay(xpByDay);
+  if ((state.totalXP || 0) !== daySum) {
+    add({
+      id: "total-xp",
+      severity: "error",
+      title: "Total XP doesn't match the day history",
+      detail: `totalXP is ${state.totalXP || 0}, but the days add up to ${daySum}.`,
+    });
+  }
+
+  for (const [key, day] of Object.entries(days)) {
+    if (isBossDayKey(key)) {
+      const carriesXp = (day?.earnedXP || 0) !== 0 || (day?.xpDebt || 0) !== 0;
+      add({
+        id: `boss-day-${key}`,
+        severity: carriesXp ? "warn" : "info",
+        repairable: carriesXp,
+        title: `Boss entry stored as ${key}`,
+        detail: carriesXp
+          ? `This pseudo-day carries ${day.earnedXP || 0} XP and ${day.xpDebt || 0} debt that are counted nowhere else.`
+          : "Boss raids are kept in their own weekly list; this entry moves there the next time the save loads.",
+      });
+      continue;
+    }
+    if (!DATE_KEY_RE.test(key)) {
+      add({ id: `bad-key-${key}`, severity: "info", repairable: false, title: `Unrecognised day key "${key}"`, detail: "Left untouched." });
+      continue;
+    }
+    const totals = dayTotals(day);
+    if ((day?.earnedXP || 0) !== totals.earnedXP || (day?.xpDebt || 0) !== totals.xpDebt) {
+      add({
+        id: `day-log-${key}`,
+        title: `${key} totals don't match its activity log`,
+        detail: `Stored ${day?.earnedXP || 0} XP / ${day?.xpDebt || 0} debt; the log gives ${totals.earnedXP} XP / ${totals.xpDebt} debt.`,
+      });
+    }
+    const expected = Array.isArray(day?.activity) ? reduceActivity(day.activity).xp : totals.earnedXP;
+    if ((xpByDay[key] || 0) !== expected) {
+      add({
+        id: `xp-by-day-${key}`,
+        title: `XP chart for ${key} is off`,
+        detail: `xpByDay has ${xpByDay[key] || 0} XP; the day records ${expected}.`,
+      });
+    }
+  }
+
+  for (const [key, xp] of Object.entries(xpByDay)) {
+    if (days[key] || !xp) continue;
+    add({
+      id: `xp-without-day-${key}`,
+      title: `XP recorded for ${key} without a day entry`,
+      detail: DATE_KEY_RE.test(key) ? `${xp} XP will be kept as a day entry.` : `${xp} XP under an invalid key will be dropped.`,
+    });
+  }
+
+  const questIds = new Set(state.quests.map((q) => q.id));
+  const orphans = {};
+  for (const [key, day] of Object.entries(days)) {
+    if (!DATE_KEY_RE.test(key)) continue;
+    for (const questId of Object.keys(day?.completed || {})) {
+      if (!questIds.has(questId)) orphans[questId] = [...(orphans[questId] || []), key];
+    }
+  }
+  for (const [questId, keys] of Object.entries(orphans)) {
+    add({
+      id: `orphan-${questId}`,
+      severity: "info",
+      repairable: false,
+      title: `Completions for a deleted quest (${questId})`,
+      detail: `${keys.length} day${keys.length === 1 ? "" : "s"}, latest ${[...keys].sort().pop()}. Kept so the history and its XP stay intact.`,
+    });
+  }
+
+  const byQuest = completedXpByQuest(days);
+  for (const quest of state.quests) {
+    const expected = Math.min(byQuest[quest.id] || 0, questXpCap(quest));
+    if ((quest.xp || 0) === expected) continue;
+    add({
+      id: `quest-xp-${quest.id}`,
+      title: `${quest.name} XP doesn't match its completions`,
+      detail: `Quest shows ${quest.xp || 0} XP; its completions add up to ${expected}.`,
+    });
+  }
+
+  return issues;
+}
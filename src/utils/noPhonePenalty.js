@@ -0,0 +1,83 @@
+export const NO_PHONE_PENALTY_TYPE = "no-phone";
+
+export function isFocusQuest(quest) {
+  return quest?.activityKind === "focus";
+}
+
+export function penaltyMinutes(settings) {
+  const minutes = Number(settings?.noPhonePenaltyMinutes);
+  return Number.isFinite(minutes) && minutes > 0 ? Math.round(minutes) : 0;
+}
+
+export function shouldSchedulePenalty(quest, settings) {
+  return !!settings?.noPhonePenaltyEnabled && isFocusQuest(quest) && penaltyMinutes(settings) > 0;
+}
+
+export function buildNoPhonePenalty({ quest, sourceDay, reason, settings, at = Date.now() }) {
+  return {
+    id: `${NO_PHONE_PENALTY_TYPE}-${quest.id}-${sourceDay}`,
+    type: NO_PHONE_PENALTY_TYPE,
+    minutes: penaltyMinutes(settings),
+    sourceQuestId: quest.id,
+    sourceQuestName: quest.name,
+    sourceDay,
+    reason,
+    status: "pending",
+    startedAt: null,
+    elapsedMs: 0,
+    debt: 0,
+    createdAt: at,
+    completedAt: null,
+  };
+}
+
+// While a block is unfinished its minutes sit on the day as XP debt; with debt
+// disabled the block blocks rewards instead (see rewardsBlockedByPenalty).
+// The debt itself is booked by the caller through the activity log.
+export function schedulePenalty(day, penalty, settings) {
+  const penalties = day.penalties || [];
+  if (penalties.some((p) => p.id === penalty.id)) return day;
+  const debt = settings?.xpDebtEnabled ? penalty.minutes : 0;
+  return { ...day, penalties: [...penalties, { ...penalty, debt }] };
+}
+
+export function penaltyElapsedMs(penalty, now = Date.now()) {
+  if (penalty.status === "active" && penalty.startedAt) return Math.max(0, now - penalty.startedAt);
+  return penalty.elapsedMs || 0;
+}
+
+export function isPenaltyDone(penalty) {
+  return penalty?.status === "completed";
+}
+
+export function pendingPenalties(day) {
+  return (day?.penalties || []).filter((p) => !isPenaltyDone(p));
+}
+
+export function rewardsBlockedByPenalty(day, settings) {
+  return !settings?.xpDebtEnabled && pendingPenalties(day).length > 0;
+}
+
+export function startPenalty(penalty, now = Date.now()) {
+  if (penalty.status === "pending") return { ...penalty, status: "active", startedAt: now, elapsedMs: 0 };
+  if (penalty.status === "paused") return { ...penalty, status: "active", startedAt: now - (penalty.elapsedMs || 0) };
+  return penalty;
+}
+
+export function pausePenalty(penalty, now = Date.now()) {
+  if (penalty.status !== "active") return penalty;
+  return { ...penalty, status: "paused", elapsedMs: penaltyElapsedMs(penalty, now), startedAt: null };
+}
+
+export function finishPenalty(day, penaltyId, now = Date.now()) {
+  const penalty = (day.penalties || []).find((p) => p.id === penaltyId);
+  if (!penalty || isPenaltyDone(penalty)) return day;
+  const elapsedMs = penaltyElapsedMs(penalty, now);
+  if (elapsedMs < penalty.minutes * 60000) return day;
+  return {
+    ...day,
+    penalties: day.penalties.map((p) =>
+      p.id === penaltyId ? { ...p, status: "completed", elapsedMs, startedAt: null, completedAt: now } : p
+    ),
+  };
+}
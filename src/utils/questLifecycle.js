@@ -0,0 +1,44 @@
+// Deleted quests stay in `state.quests` (hidden everywhere) so completions in
+// the day history keep resolving to a name and their XP stays counted.
+export const QUEST_LIFECYCLES = {
+  active: { label: "Active", verb: "resume", past: "resumed" },
+  paused: { label: "Paused", verb: "pause", past: "paused" },
+  archived: { label: "Archived", verb: "archive", past: "archived" },
+  deleted: { label: "Deleted", verb: "delete", past: "deleted" },
+};
+
+export function normalizeLifecycle(value) {
+  return QUEST_LIFECYCLES[value] ? value : "active";
+}
+
+export function questLifecycle(quest) {
+  return normalizeLifecycle(quest?.lifecycle);
+}
+
+/** Only active quests are scheduled, counted as missed or offered as challenges. */
+export function isQuestActive(quest) {
+  return questLifecycle(quest) === "active";
+}
+
+/** Active and paused quests make up the working quest list. */
+export function isQuestListed(quest) {
+  const lifecycle = questLifecycle(quest);
+  return lifecycle === "active" || lifecycle === "paused";
+}
+
+export function isQuestArchived(quest) {
+  return questLifecycle(quest) === "archived";
+}
+
+export function isQuestDeleted(quest) {
+  return questLifecycle(quest) === "deleted";
+}
+
+// A running timer is dropped when a quest leaves the active list.
+export function setQuestLifecycle(quest, lifecycle, at = Date.now()) {
+  const next = normalizeLifecycle(lifecycle);
+  if (questLifecycle(quest) === next) return quest;
+  const updated = { ...quest, lifecycle: next, lifecycleChangedAt: at };
+  if (next === "active" || quest.status === "completed") return updated;
+  return { ...updated, status: "idle", startedAt: null, elapsedMs: 0 };
+}
@@ -81,3 +81,180 @@ export function rankLetterForTarget(target, ladder) {
   if (t < ladder.S) return "A";
   return "S";
 }
+
+export const DEFAULT_SESSIONS_TO_S = 84;
+export const MISSES_BEFORE_ROLLBACK = 3;
+
+function roundForMeasurement(value, measurementType) {
+  if (measurementType === "distance") return Math.round(value * 10) / 10;
+  return Math.round(value);
+}
+
+export function progressionStep(progression, measurementType, sessionsToS = DEFAULT_SESSIONS_TO_S) {
+  const sTarget = Number(progression?.sRankTarget) || 1;
+  const start = Number(progression?.startTarget) || 1;
+  const sessionsPerWeek = clampInt(progression?.sessionsPerWeek ?? 7, 1, 7);
+  const raw = ((sTarget - start) / Math.max(1, sessionsToS)) * sessionsPerWeek;
+  const minStep = measurementType === "distance" ? 0.1 : 1;
+  return Math.max(minStep, roundForMeasurement(raw, measurementType));
+}
+
+export function defaultProgressState() {
+  return { sessions: 0, misses: 0, missStreak: 0 };
+}
+
+function readProgressState(quest) {
+  const s = quest?.progressState || {};
+  return {
+    sessions: Math.max(0, Number(s.sessions) || 0),
+    misses: Math.max(0, Number(s.misses) || 0),
+    missStreak: Math.max(0, Number(s.missStreak) || 0),
+  };
+}
+
+function withTarget(quest, nextTarget) {
+  return {
+    ...quest,
+    currentTargetValue: nextTarget,
+    targetMinutes: quest.measurementType === "time" ? nextTarget : quest.targetMinutes,
+  };
+}
+
+export function snapshotProgression(quest) {
+  return {
+    currentTargetValue: quest.currentTargetValue,
+    targetMinutes: quest.targetMinutes ?? null,
+    progressState: readProgressState(quest),
+  };
+}
+
+export function restoreProgression(quest, snapshot) {
+  if (!snapshot) return quest;
+  return {
+    ...quest,
+    currentTargetValue: snapshot.currentTargetValue,
+    targetMinutes: snapshot.targetMinutes,
+    progressState: { ...snapshot.progressState },
+  };
+}
+
+/**
+ * Takes back one session without touching anything that happened after it:
+ * a raised target drops by that session's step, otherwise the session count
+ * goes down by one.
+ */
+export function reverseSessionSuccess(quest, event) {
+  const state = readProgressState(quest);
+  if (!event) return { ...quest, progressState: { ...state, sessions: Math.max(0, state.sessions - 1) } };
+  const current = Number(quest.currentTargetValue) || 1;
+  const floor = Math.max(1, Number(quest.progression?.startTarget) || 1);
+  const nextTarget = Math.max(floor, roundForMeasurement(current - (event.to - event.from), quest.measurementType));
+  return withTarget(quest, nextTarget);
+}
+
+export function recordSessionSuccess(quest, at = Date.now()) {
+  if (!quest?.progression || quest.measurementType === "habit") return { quest, event: null };
+  const state = readProgressState(quest);
+  const sessions = state.sessions + 1;
+  const sTarget = Number(quest.progression.sRankTarget) || quest.sTargetValue || 1;
+  const current = Number(quest.currentTargetValue) || 1;
+  if (sessions < quest.progression.sessionsPerWeek || current >= sTarget) {
+    return { quest: { ...quest, progressState: { sessions, misses: 0, missStreak: 0 } }, event: null };
+  }
+  const step = progressionStep(quest.progression, quest.measurementType);
+  const nextTarget = Math.min(sTarget, roundForMeasurement(current + step, quest.measurementType));
+  const event = {
+    type: "target_raised",
+    questId: quest.id,
+    questName: quest.name,
+    from: current,
+    to: nextTarget,
+    at,
+  };
+  return { quest: { ...withTarget(quest, nextTarget), progressState: defaultProgressState() }, event };
+}
+
+export function recordSessionMiss(quest, at = Date.now()) {
+  if (!quest?.progression || quest.measurementType === "habit") return { quest, event: null };
+  const state = readProgressState(quest);
+  const misses = state.misses + 1;
+  const missStreak = state.missStreak + 1;
+  if (misses < MISSES_BEFORE_ROLLBACK) {
+    const progressState = { sessions: Math.max(0, state.sessions - 1), misses, missStreak };
+    return { quest: { ...quest, progressState }, event: null };
+  }
+  const floor = Math.max(1, Number(quest.progression.startTarget) || 1);
+  const current = Number(quest.currentTargetValue) || 1;
+  if (current <= floor) {
+    return { quest: { ...quest, progressState: { ...defaultProgressState(), missStreak } }, event: null };
+  }
+  const step = progressionStep(quest.progression, quest.measurementType);
+  const nextTarget = Math.max(floor, roundForMeasurement(current - step, quest.measurementType));
+  const event = {
+    type: "target_lowered",
+    questId: quest.id,
+    questName: quest.name,
+    from: current,
+    to: nextTarget,
+    at,
+  };
+  return { quest: { ...withTarget(quest, nextTarget), progressState: { ...defaultProgressState(), missStreak } }, event };
+}
+
+const RANK_ORDER = ["E", "D", "C", "B", "A", "S"];
+
+export function missStreakFor(quest) {
+  return readProgressState(quest).missStreak;
+}
+
+export function demoteQuestRank(quest, at = Date.now()) {
+  const ladder = quest?.progression?.ladder;
+  if (!ladder || quest.measurementType === "habit") return { quest, event: null };
+  const current = Number(quest.currentTargetValue) || 1;
+  const fromRank = rankLetterForTarget(current, ladder);
+  const index = RANK_ORDER.indexOf(fromRank);
+  const resetStreak = { ...quest, progressState: { ...readProgressState(quest), missStreak: 0 } };
+  if (index <= 0) return { quest: resetStreak, event: null };
+  const toRank = RANK_ORDER[index - 1];
+  const nextTarget = Math.min(current, ladder[toRank]);
+  const event = {
+    type: "rank_demoted",
+    questId: quest.id,
+    questName: quest.name,
+    from: current,
+    to: nextTarget,
+    fromRank,
+    toRank,
+    at,
+  };
+  return { quest: { ...withTarget(resetStreak, nextTarget), progressState: defaultProgressState() }, event };
+}
+
+/**
+ * Raises a quest's target straight to `target` (a passed rank-up trial),
+ * capped at its S-rank goal. The progression is rebuilt so a quest without one
+ * gets a ladder, and the session count starts over at the new target.
+ */
+export function promoteQuestTarget(quest, target, at = Date.now()) {
+  if (!quest || quest.measurementType === "habit") return { quest, event: null };
+  const progression = buildQuestProgression({
+    sRankTarget: quest.progression?.sRankTarget ?? quest.sTargetValue ?? 1,
+    startTarget: quest.progression?.startTarget ?? quest.currentTargetValue,
+    startTargetWasAuto: quest.progression?.startTargetWasAuto ?? false,
+    sessionsPerWeek: quest.progression?.sessionsPerWeek ?? 7,
+  });
+  const current = Number(quest.currentTargetValue) || 1;
+  const nextTarget = Math.min(progression.sRankTarget, roundForMeasurement(Number(target) || 0, quest.measurementType));
+  if (nextTarget <= current) return { quest, event: null };
+  const event = {
+    type: "rank_promoted",
+    questId: quest.id,
+    questName: quest.name,
+    from: current,
+    to: nextTarget,
+    fromRank: rankLetterForTarget(current, progression.ladder),
+    toRank: rankLetterForTarget(nextTarget, progression.ladder),
+    at,
+  };
+  return { quest: { ...withTarget(quest, nextTarget), progression, progressState: defaultProgressState() }, event };
+}
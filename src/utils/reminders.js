@@ -0,0 +1,88 @@
+import { dayWindow, formatSlotClock, minutesIntoDay, questSlotWindow } from "./timeSlots.js";
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+/**
+ * Lists the reminders that apply right now. Each has a stable `key` so it is
+ * only delivered once; `config` is the per-device notification config and
+ * lead times of 0 switch a reminder off. The quest predicates come from the
+ * caller so the schedule rules stay in one place.
+ */
+export function dueReminders({
+  config,
+  settings,
+  dateKey,
+  now = new Date(),
+  quests = [],
+  isScheduled = () => true,
+  isDue = () => true,
+  isDone = () => false,
+  timerLimitMs = () => 0,
+  weeklyChallenge = null,
+}) {
+  if (!config?.enabled) return [];
+  const reminders = [];
+  const nowMs = now.getTime();
+  const minute = minutesIntoDay(now, settings);
+  const window = dayWindow(settings);
+  const today = quests.filter((q) => isScheduled(q));
+  const pending = today.filter((q) => !isDone(q));
+
+  const minutesLeft = window.end - minute;
+  const open = pending.filter((q) => isDue(q));
+  if (config.bedtimeMinutes > 0 && minute >= window.start && minutesLeft > 0 && minutesLeft <= config.bedtimeMinutes && open.length) {
+    reminders.push({
+      key: `bedtime:${dateKey}`,
+      title: `${plural(open.length, "quest")} still open`,
+      body: `Bedtime is at ${formatSlotClock(window.end)} (${plural(minutesLeft, "minute")} left): ${open.map((q) => q.name).join(", ")}.`,
+    });
+  }
+
+  if (config.slots) {
+    for (const q of pending) {
+      const slot = questSlotWindow(q, settings);
+      if (!slot || minute < slot.start || minute >= slot.end) continue;
+      reminders.push({
+        key: `slot:${dateKey}:${q.id}`,
+        title: `Time for ${q.name}`,
+        body:
+          slot.slot === "exact"
+            ? `Planned for ${formatSlotClock(slot.start)}.`
+            : `Planned for this ${slot.slot}; it's overdue after ${formatSlotClock(slot.end)}.`,
+      });
+    }
+  }
+
+  if (config.timerMinutes > 0) {
+    for (const q of quests) {
+      const limit = timerLimitMs(q);
+      if (q.status !== "active" || !q.startedAt || !limit) continue;
+      const remainingMs = limit - (nowMs - q.startedAt);
+      if (remainingMs <= 0 || remainingMs > config.timerMinutes * 60000) continue;
+      reminders.push({
+        key: `timer:${q.id}:${q.startedAt}`,
+        title: `${q.name}: timer almost up`,
+        body: `${plural(Math.ceil(remainingMs / 60000), "minute")} left to finish inside the timer window.`,
+      });
+    }
+  }
+
+  const challenge = weeklyChallenge;
+  const challengeLeftMs = challenge ? challenge.expiresAt - nowMs : 0;
+  if (
+    config.challengeHours > 0 &&
+    challenge?.status === "active" &&
+    challengeLeftMs > 0 &&
+    challengeLeftMs <= config.challengeHours * 3600000
+  ) {
+    reminders.push({
+      key: `challenge:${challenge.id}`,
+      title: "Weekly challenge ends soon",
+      body: `${challenge.title}: ${challenge.target} • ${plural(Math.ceil(challengeLeftMs / 3600000), "hour")} left for +${challenge.xpReward} XP.`,
+    });
+  }
+
+  return reminders;
+}
@@ -0,0 +1,134 @@
+import { mergeChallengeArchives } from "./challengeArchive.js";
+
+export const SAVE_FILE_FORMAT = "lvlup-save";
+export const SAVE_FILE_VERSION = 1;
+
+export function buildSaveFile({ game, profile, joinDate, playerPhoto, selectedCategories, exportedAt = new Date() }) {
+  return {
+    format: SAVE_FILE_FORMAT,
+    formatVersion: SAVE_FILE_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    game,
+    profile: profile || null,
+    joinDate: joinDate || null,
+    playerPhoto: playerPhoto || "",
+    selectedCategories: selectedCategories || [],
+  };
+}
+
+export function saveFileName(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `lvlup-save-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.json`;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Returns `{ save }` for a structurally valid file or `{ error }` describing the
+ * first problem found. Game contents are normalized separately by the caller.
+ */
+export function parseSaveFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: "File is not valid JSON." };
+  }
+  if (!isPlainObject(data) || data.format !== SAVE_FILE_FORMAT) {
+    return { error: "This is not a Level Up save file." };
+  }
+  const version = Number(data.formatVersion);
+  if (!Number.isInteger(version) || version < 1) return { error: "Save file version is missing." };
+  if (version > SAVE_FILE_VERSION) {
+    return { error: "This save was made by a newer version of the app. Update before importing." };
+  }
+  const game = data.game;
+  if (!isPlainObject(game)) return { error: "Save file has no game data." };
+  if (!Array.isArray(game.quests)) return { error: "Save file quests are missing or invalid." };
+  if (game.quests.some((q) => !isPlainObject(q) || !q.id || !q.name)) {
+    return { error: "Save file contains a quest without an id or name." };
+  }
+  if (game.days !== undefined && !isPlainObject(game.days)) return { error: "Save file day history is invalid." };
+  if (game.xpByDay !== undefined && !isPlainObject(game.xpByDay)) return { error: "Save file XP history is invalid." };
+  if (data.playerPhoto && (typeof data.playerPhoto !== "string" || !data.playerPhoto.startsWith("data:image/"))) {
+    return { error: "Save file photo is invalid." };
+  }
+  return {
+    save: {
+      exportedAt: typeof data.exportedAt === "string" ? data.exportedAt : null,
+      game,
+      profile: isPlainObject(data.profile) ? data.profile : null,
+      joinDate: typeof data.joinDate === "string" ? data.joinDate : null,
+      playerPhoto: data.playerPhoto || "",
+      selectedCategories: Array.isArray(data.selectedCategories) ? data.selectedCategories : [],
+    },
+  };
+}
+
+function mergeDay(current, incoming) {
+  if (!current) return incoming;
+  if (!incoming) return current;
+  const completed = { ...(current.completed || {}) };
+  for (const [questId, entry] of Object.entries(incoming.completed || {})) {
+    if (entry?.done || !completed[questId]?.done) completed[questId] = entry;
+  }
+  return {
+    ...current,
+    ...incoming,
+    completed,
+    earnedXP: Math.max(current.earnedXP || 0, incoming.earnedXP || 0),
+    xpDebt: Math.min(current.xpDebt || 0, incoming.xpDebt || 0),
+    note:
+      current.note === incoming.note ? current.note || "" : [current.note, incoming.note].filter(Boolean).join("\n"),
+  };
+}
+
+/**
+ * Merges an imported game into the current one. Settings and the active
+ * challenge stay as they are on this device; quests, day history, boss raids
+ * and the challenge archive are combined, keeping whichever copy of a quest or
+ * raid has more XP.
+ */
+export function mergeGames(current, incoming) {
+  const quests = [...current.quests];
+  for (const quest of incoming.quests) {
+    const index = quests.findIndex((q) => q.id === quest.id);
+    if (index === -1) quests.push(quest);
+    else if ((quest.xp || 0) > (quests[index].xp || 0)) quests[index] = quest;
+  }
+  const days = { ...current.days };
+  for (const [key, day] of Object.entries(incoming.days || {})) days[key] = mergeDay(days[key], day);
+  const xpByDay = { ...current.xpByDay };
+  for (const [key, xp] of Object.entries(incoming.xpByDay || {})) xpByDay[key] = Math.max(xpByDay[key] || 0, xp || 0);
+  const bossRaids = { ...(current.bossRaids || {}) };
+  for (const [weekKey, record] of Object.entries(incoming.bossRaids || {})) {
+    if (!bossRaids[weekKey] || (record?.xp || 0) > (bossRaids[weekKey].xp || 0)) bossRaids[weekKey] = record;
+  }
+  const challengeArchive = mergeChallengeArchives(current.challengeArchive, incoming.challengeArchive);
+  return { ...current, quests, days, xpByDay, bossRaids, challengeArchive };
+}
+
+export function earliestDateKey(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return a < b ? a : b;
+}
+
+export function describeImport(current, next) {
+  const currentIds = new Set(current.quests.map((q) => q.id));
+  const nextIds = new Set(next.quests.map((q) => q.id));
+  const sameDay = (key) => JSON.stringify(current.days?.[key]) === JSON.stringify(next.days[key]);
+  const changedDays = Object.keys(next.days || {}).filter((key) => !sameDay(key));
+  return {
+    questsAdded: next.quests.filter((q) => !currentIds.has(q.id)).length,
+    questsRemoved: current.quests.filter((q) => !nextIds.has(q.id)).length,
+    questsKept: next.quests.filter((q) => currentIds.has(q.id)).length,
+    daysAdded: changedDays.filter((key) => !current.days?.[key]).length,
+    daysChanged: changedDays.filter((key) => current.days?.[key]).length,
+    daysRemoved: Object.keys(current.days || {}).filter((key) => !next.days?.[key]).length,
+    totalXPBefore: current.totalXP || 0,
+    totalXPAfter: next.totalXP || 0,
+  };
+}
@@ -0,0 +1,188 @@
+// Recurrence rules for quests. `frequency` picks the rule; the other fields
+// only matter for their own rule. `startDate` / `endDate` bound any rule.
+export const SCHEDULE_KINDS = {
+  daily: { label: "Daily" },
+  weekly: { label: "Weekdays" },
+  interval: { label: "Every N days" },
+  per_week: { label: "X per week" },
+  monthly: { label: "Monthly" },
+};
+
+const DATE_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_INTERVAL_DAYS = 60;
+
+/** Local-time `YYYY-MM-DD` key for a date, the format `state.days` is keyed by. */
+export function dateKeyOf(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+function keyToDate(key) {
+  return new Date(`${key}T00:00:00`);
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+function dateKeyOrNull(value) {
+  return typeof value === "string" && DATE_KEY_RE.test(value) ? value : null;
+}
+
+function mondayIndex(date) {
+  return (date.getDay() + 6) % 7;
+}
+
+export function normalizeFrequency(value) {
+  return SCHEDULE_KINDS[value] ? value : "daily";
+}
+
+export function normalizeDaysOfWeek(days) {
+  if (!Array.isArray(days)) return [];
+  return days.filter((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+}
+
+export function normalizeDaysOfMonth(days) {
+  if (!Array.isArray(days)) return [];
+  return [...new Set(days.filter((d) => Number.isInteger(d) && d >= 1 && d <= 31))].sort((a, b) => a - b);
+}
+
+/** The schedule fields of a quest with defaults filled in. */
+export function normalizeSchedule(q = {}) {
+  const frequency = normalizeFrequency(q.frequency || q.cadence);
+  const startDate = dateKeyOrNull(q.startDate);
+  let endDate = dateKeyOrNull(q.endDate);
+  if (startDate && endDate && endDate < startDate) endDate = startDate;
+  return {
+    frequency,
+    daysOfWeek: frequency === "daily" ? [0, 1, 2, 3, 4, 5, 6] : normalizeDaysOfWeek(q.daysOfWeek || q.weekDays),
+    intervalDays: clampInt(q.intervalDays, 2, MAX_INTERVAL_DAYS, 2),
+    anchorDate: dateKeyOrNull(q.anchorDate),
+    timesPerWeek: clampInt(q.timesPerWeek, 1, 7, 3),
+    daysOfMonth: normalizeDaysOfMonth(q.daysOfMonth),
+    startDate,
+    endDate,
+  };
+}
+
+/** Returns a message for a schedule that can never come due, or `null`. */
+export function validateSchedule(schedule) {
+  if (schedule.frequency === "weekly" && !normalizeDaysOfWeek(schedule.daysOfWeek).length) {
+    return "Pick at least one day for weekly quests.";
+  }
+  if (schedule.frequency === "monthly" && !normalizeDaysOfMonth(schedule.daysOfMonth).length) {
+    return "Pick at least one day of the month.";
+  }
+  if (schedule.startDate && schedule.endDate && schedule.endDate < schedule.startDate) {
+    return "The end date is before the start date.";
+  }
+  return null;
+}
+
+export function isWithinScheduleBounds(q, key) {
+  const { startDate, endDate } = normalizeSchedule(q);
+  return (!startDate || key >= startDate) && (!endDate || key <= endDate);
+}
+
+// Day 31 of a 30-day month falls on the 30th, so "last day" rules still fire.
+function matchesDayOfMonth(daysOfMonth, date) {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  return daysOfMonth.some((d) => Math.min(d, lastDay) === date.getDate());
+}
+
+function intervalAnchor(q, schedule) {
+  if (schedule.anchorDate) return schedule.anchorDate;
+  if (schedule.startDate) return schedule.startDate;
+  const created = Date.parse(q.createdAt);
+  return Number.isFinite(created) ? dateKeyOf(new Date(created)) : "2000-01-01";
+}
+
+function weekKeys(date) {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - mondayIndex(date));
+  return Array.from({ length: 7 }, (_, i) => dateKeyOf(new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + i)));
+}
+
+function doneElsewhereThisWeek(q, date, days) {
+  const key = dateKeyOf(date);
+  return weekKeys(date).filter((k) => k !== key && days?.[k]?.completed?.[q.id]?.done).length;
+}
+
+/**
+ * Whether the quest can be worked on that day. "X per week" quests stay
+ * available until the week's sessions are done; `days` is needed to know that.
+ */
+export function isOnSchedule(q, date, days = null) {
+  const key = dateKeyOf(date);
+  if (!isWithinScheduleBounds(q, key)) return false;
+  const schedule = normalizeSchedule(q);
+  switch (schedule.frequency) {
+    case "weekly":
+      return schedule.daysOfWeek.includes(mondayIndex(date));
+    case "interval": {
+      const diff = Math.round((keyToDate(key) - keyToDate(intervalAnchor(q, schedule))) / DAY_MS);
+      return diff >= 0 && diff % schedule.intervalDays === 0;
+    }
+    case "per_week":
+      return !days || doneElsewhereThisWeek(q, date, days) < schedule.timesPerWeek;
+    case "monthly":
+      return matchesDayOfMonth(schedule.daysOfMonth, date);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Whether skipping the quest that day counts as a miss. For "X per week" that
+ * is only once the remaining days of the week are all needed.
+ */
+export function isDueOn(q, date, days = null) {
+  if (!isOnSchedule(q, date, days)) return false;
+  const schedule = normalizeSchedule(q);
+  if (schedule.frequency !== "per_week") return true;
+  const needed = schedule.timesPerWeek - doneElsewhereThisWeek(q, date, days);
+  const daysLeft = 7 - mondayIndex(date);
+  return needed >= daysLeft;
+}
+
+/** Whether the quest comes up at least once between two date keys (inclusive). */
+export function isScheduledInRange(q, startKey, endKey) {
+  const end = keyToDate(endKey);
+  for (let d = keyToDate(startKey); d <= end; d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)) {
+    if (isOnSchedule(q, d)) return true;
+  }
+  return false;
+}
+
+/** Average sessions per week, rounded to what the progression ladder accepts (1–7). */
+export function sessionsPerWeekForSchedule(schedule) {
+  const s = normalizeSchedule(schedule);
+  const perWeek =
+    s.frequency === "weekly"
+      ? s.daysOfWeek.length
+      : s.frequency === "interval"
+      ? 7 / s.intervalDays
+      : s.frequency === "per_week"
+      ? s.timesPerWeek
+      : s.frequency === "monthly"
+      ? (s.daysOfMonth.length * 12) / 52
+      : 7;
+  return Math.min(7, Math.max(1, Math.round(perWeek)));
+}
+
+export function describeSchedule(q) {
+  const s = normalizeSchedule(q);
+  const names = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+  const rule =
+    s.frequency === "weekly"
+      ? s.daysOfWeek.map((d) => names[d]).join(", ") || "No days"
+      : s.frequency === "interval"
+      ? `Every ${s.intervalDays} days`
+      : s.frequency === "per_week"
+      ? `${s.timesPerWeek}× per week`
+      : s.frequency === "monthly"
+      ? `Monthly on ${s.daysOfMonth.join(", ") || "—"}`
+      : "Daily";
+  const bounds = [s.startDate ? `from ${s.startDate}` : "", s.endDate ? `until ${s.endDate}` : ""].filter(Boolean).join(" ");
+  return bounds ? `${rule} (${bounds})` : rule;
+}
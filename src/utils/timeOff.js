@@ -0,0 +1,70 @@
+import { activityEvent, recordActivity } from "./activityLog.js";
+
+// Declared vacation / sick ranges. Days inside a range never count as missed:
+// no debt, no penalties, no streak break and no effect on compliance.
+export const TIME_OFF_KINDS = {
+  vacation: { label: "Vacation" },
+  sick: { label: "Sick" },
+};
+
+const DATE_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TIME_OFF_DAYS = 366;
+
+function daysBetween(start, end) {
+  return Math.round((new Date(`${end}T00:00:00`) - new Date(`${start}T00:00:00`)) / 86400000);
+}
+
+/** Returns a message for the first problem with the range, or `null`. */
+export function validateTimeOff({ kind, start, end }) {
+  if (!TIME_OFF_KINDS[kind]) return "Pick vacation or sick.";
+  if (!DATE_KEY_RE.test(start || "") || !DATE_KEY_RE.test(end || "")) return "Pick a start and end date.";
+  if (end < start) return "The end date is before the start date.";
+  if (daysBetween(start, end) >= MAX_TIME_OFF_DAYS) return "Time off can cover at most a year at a time.";
+  return null;
+}
+
+export function normalizeTimeOff(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((range) => range && typeof range.id === "string" && !validateTimeOff(range))
+    .map((range) => ({
+      id: range.id,
+      kind: range.kind,
+      start: range.start,
+      end: range.end,
+      note: typeof range.note === "string" ? range.note : "",
+      createdAt: typeof range.createdAt === "number" ? range.createdAt : 0,
+    }));
+}
+
+export function timeOffForDay(timeOff, key) {
+  return (timeOff || []).find((range) => range.start <= key && key <= range.end) || null;
+}
+
+export function isTimeOffDay(timeOff, key) {
+  return !!timeOffForDay(timeOff, key);
+}
+
+export function formatTimeOffRange(range) {
+  const label = TIME_OFF_KINDS[range.kind]?.label || range.kind;
+  return range.start === range.end ? `${label} • ${range.start}` : `${label} • ${range.start} → ${range.end}`;
+}
+
+/**
+ * Adds a range and clears any debt already booked on its days, so time off
+ * declared after the fact undoes the missed-day charges.
+ */
+export function addTimeOff(state, { kind, start, end, note = "" }, at = Date.now()) {
+  const range = { id: `off-${at.toString(36)}-${Math.random().toString(16).slice(2, 6)}`, kind, start, end, note: note.trim(), createdAt: at };
+  let next = { ...state, timeOff: [...(state.timeOff || []), range] };
+  for (const [key, day] of Object.entries(state.days || {})) {
+    if (!DATE_KEY_RE.test(key) || key < start || key > end || !(day?.xpDebt > 0)) continue;
+    next = recordActivity(next, key, [activityEvent("debt_cleared", { amount: day.xpDebt, reason: "time_off" }, at)]);
+  }
+  return next;
+}
+
+// Debt cleared when the range was added stays cleared.
+export function removeTimeOff(state, id) {
+  return { ...state, timeOff: (state.timeOff || []).filter((range) => range.id !== id) };
+}
@@ -0,0 +1,117 @@
+// Optional time of day for a quest. Named slots split the wake → bed window
+// into thirds; an exact slot is a clock time inside that window.
+export const TIME_SLOTS = {
+  morning: { label: "Morning", order: 0 },
+  afternoon: { label: "Afternoon", order: 1 },
+  evening: { label: "Evening", order: 2 },
+  exact: { label: "Exact time", order: 3 },
+};
+
+// An exact slot counts as overdue once this long has passed without a completion.
+export const EXACT_SLOT_GRACE_MINUTES = 30;
+
+const HHMM_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(hhmm) {
+  const match = HHMM_RE.exec(hhmm || "");
+  return match ? Number(match[1]) * 60 + Number(match[2]) : 0;
+}
+
+/** The wake → bed window in minutes after midnight; `end` may run past 1440. */
+export function dayWindow(settings) {
+  const start = toMinutes(settings?.wakeTime);
+  const bed = toMinutes(settings?.bedTime);
+  return { start, end: bed <= start ? bed + 1440 : bed };
+}
+
+// Minutes after midnight, shifted past 1440 when the time falls after midnight
+// but still inside a window that crosses it. Earlier times stay before the window.
+function inWindow(minutes, window) {
+  return minutes < window.start && minutes + 1440 <= window.end ? minutes + 1440 : minutes;
+}
+
+export function normalizeTimeSlot(q) {
+  const timeSlot = TIME_SLOTS[q?.timeSlot] ? q.timeSlot : null;
+  const slotTime = timeSlot === "exact" && HHMM_RE.test(q?.slotTime || "") ? q.slotTime : null;
+  if (timeSlot === "exact" && !slotTime) return { timeSlot: null, slotTime: null };
+  return { timeSlot, slotTime };
+}
+
+function thirdOf(name, window) {
+  const third = (window.end - window.start) / 3;
+  const index = TIME_SLOTS[name].order;
+  return { start: Math.round(window.start + third * index), end: Math.round(window.start + third * (index + 1)) };
+}
+
+/** The `{ start, end }` minutes of a named slot within the wake → bed window. */
+export function namedSlotWindow(name, settings) {
+  return thirdOf(name, dayWindow(settings));
+}
+
+/**
+ * Resolves a quest's slot to `{ slot, group, start, end }` in window minutes,
+ * or `null` for "any time". `group` is the named third an exact time falls in.
+ */
+export function questSlotWindow(q, settings) {
+  const { timeSlot, slotTime } = normalizeTimeSlot(q);
+  if (!timeSlot) return null;
+  const window = dayWindow(settings);
+  if (timeSlot !== "exact") return { slot: timeSlot, group: timeSlot, ...thirdOf(timeSlot, window) };
+  const at = Math.min(window.end, Math.max(window.start, inWindow(toMinutes(slotTime), window)));
+  const group = ["morning", "afternoon", "evening"].find((name) => at < thirdOf(name, window).end) || "evening";
+  return { slot: "exact", group, start: at, end: Math.min(window.end, at + EXACT_SLOT_GRACE_MINUTES) };
+}
+
+export function minutesIntoDay(now, settings) {
+  return inWindow(now.getHours() * 60 + now.getMinutes(), dayWindow(settings));
+}
+
+export function isSlotOverdue(q, settings, now = new Date()) {
+  const window = questSlotWindow(q, settings);
+  return !!window && minutesIntoDay(now, settings) >= window.end;
+}
+
+/** The named slot a quest is listed under, or `"anytime"`. */
+export function questSlotGroup(q, settings) {
+  return questSlotWindow(q, settings)?.group || "anytime";
+}
+
+export function compareBySlot(a, b, settings) {
+  const wa = questSlotWindow(a, settings);
+  const wb = questSlotWindow(b, settings);
+  if (!wa || !wb) return wa ? -1 : wb ? 1 : 0;
+  return wa.start - wb.start;
+}
+
+export function formatSlotClock(minutes) {
+  const m = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+}
+
+export function formatQuestSlot(q, settings) {
+  const window = questSlotWindow(q, settings);
+  if (!window) return "";
+  if (window.slot === "exact") return formatSlotClock(window.start);
+  return `${TIME_SLOTS[window.slot].label} (${formatSlotClock(window.start)}–${formatSlotClock(window.end)})`;
+}
+
+/**
+ * Markers for the day clock: one per slotted quest, at its start time. Only
+ * quests `isDue` says would count as missed are flagged overdue.
+ */
+export function slotMarkers(quests, settings, { isDone = () => false, isDue = () => true, now = new Date() } = {}) {
+  return quests
+    .map((q) => {
+      const window = questSlotWindow(q, settings);
+      if (!window) return null;
+      const done = isDone(q);
+      return {
+        id: q.id,
+        label: q.name,
+        minute: window.start % 1440,
+        done,
+        overdue: !done && isDue(q) && minutesIntoDay(now, settings) >= window.end,
+      };
+    })
+    .filter(Boolean);
+}
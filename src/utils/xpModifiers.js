@@ -0,0 +1,44 @@
+export const PERFORMANCE_MULT_MIN = 0.25;
+export const PERFORMANCE_MULT_MAX = 1.5;
+// Beating the target pays out at half the rate of falling short of it.
+const OVERPERFORMANCE_RATE = 0.5;
+
+export function performanceRatio(value, target) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return null;
+  if (typeof target !== "number" || !Number.isFinite(target) || target <= 0) return null;
+  return Math.max(0, value) / target;
+}
+
+export function performanceMultiplier(value, target) {
+  const ratio = performanceRatio(value, target);
+  if (ratio === null) return 1;
+  const mult = ratio >= 1 ? 1 + (ratio - 1) * OVERPERFORMANCE_RATE : ratio;
+  return Math.min(PERFORMANCE_MULT_MAX, Math.max(PERFORMANCE_MULT_MIN, mult));
+}
+
+export function metTarget(value, target) {
+  const ratio = performanceRatio(value, target);
+  return ratio === null || ratio >= 1;
+}
+
+export function formatPerformanceModifier(mult) {
+  if (mult === 1) return "";
+  const pct = Math.round((mult - 1) * 100);
+  return pct > 0 ? `Performance +${pct}%` : `Performance ${pct}%`;
+}
+
+export function streakBonusPct(streakDays, settings) {
+  const perDay = Number(settings?.streakBonusPctPerDay) || 0;
+  const max = Number(settings?.maxStreakBonusPct) || 0;
+  if (!streakDays || streakDays <= 0 || perDay <= 0 || max <= 0) return 0;
+  return Math.min(max, streakDays * perDay);
+}
+
+export function applyStreakBonus(xp, pct) {
+  if (!pct) return xp;
+  return Math.round(xp * (1 + pct / 100));
+}
+
+export function formatStreakModifier(pct) {
+  return pct > 0 ? `Streak +${pct}%` : "";
+}